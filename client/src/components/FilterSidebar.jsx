@@ -0,0 +1,165 @@
+import React from 'react';
+import { format } from 'date-fns';
+import { Tag, User, Calendar, Eye, X } from 'lucide-react';
+
+// Convert a "YYYY-MM" facet into an inclusive from/to date range
+const monthRange = (month) => {
+  const [year, monthIndex] = month.split('-').map(Number);
+  const lastDay = new Date(Date.UTC(year, monthIndex, 0)).getUTCDate();
+  return {
+    from: `${month}-01`,
+    to: `${month}-${String(lastDay).padStart(2, '0')}`,
+  };
+};
+
+const FilterSection = ({ icon: Icon, title, children }) => (
+  <div>
+    <h3 className="flex items-center space-x-2 text-sm font-semibold text-gray-900 mb-2">
+      <Icon className="h-4 w-4" />
+      <span>{title}</span>
+    </h3>
+    {children}
+  </div>
+);
+
+const FilterOption = ({ active, label, count, onClick }) => (
+  <button
+    type="button"
+    onClick={onClick}
+    className={`w-full flex items-center justify-between px-2 py-1 rounded text-sm transition-colors ${
+      active ? 'bg-primary-100 text-primary-700' : 'text-gray-700 hover:bg-gray-100'
+    }`}
+  >
+    <span className="truncate">{label}</span>
+    <span className="ml-2 text-xs text-gray-500">{count}</span>
+  </button>
+);
+
+const FilterSidebar = ({ facets = {}, filters, onChange }) => {
+  const { tags = [], authors = [], months = [] } = facets;
+
+  const toggleInList = (key, value) => {
+    const list = filters[key] || [];
+    onChange({
+      ...filters,
+      [key]: list.includes(value)
+        ? list.filter((item) => item !== value)
+        : [...list, value],
+    });
+  };
+
+  const toggleMonth = (month) => {
+    if (filters.month === month) {
+      onChange({ ...filters, month: '', from: '', to: '' });
+    } else {
+      onChange({ ...filters, month, ...monthRange(month) });
+    }
+  };
+
+  const hasFilters =
+    filters.tags.length > 0 ||
+    filters.authors.length > 0 ||
+    filters.month ||
+    filters.minViews;
+
+  return (
+    <aside className="bg-white rounded-lg p-6 shadow-sm space-y-6">
+      <div className="flex items-center justify-between">
+        <h2 className="text-lg font-semibold">Filters</h2>
+        {hasFilters && (
+          <button
+            type="button"
+            onClick={() =>
+              onChange({ tags: [], tagMode: 'any', authors: [], month: '', from: '', to: '', minViews: '' })
+            }
+            className="flex items-center text-sm text-gray-500 hover:text-gray-700"
+          >
+            <X className="h-4 w-4 mr-1" />
+            Clear
+          </button>
+        )}
+      </div>
+
+      {tags.length > 0 && (
+        <FilterSection icon={Tag} title="Tags">
+          <div className="flex space-x-2 mb-2 text-xs">
+            {['any', 'all'].map((mode) => (
+              <button
+                key={mode}
+                type="button"
+                onClick={() => onChange({ ...filters, tagMode: mode })}
+                className={`px-2 py-0.5 rounded-full ${
+                  filters.tagMode === mode
+                    ? 'bg-primary-600 text-white'
+                    : 'bg-gray-100 text-gray-700'
+                }`}
+              >
+                Match {mode}
+              </button>
+            ))}
+          </div>
+          <div className="space-y-1">
+            {tags.map(({ tag, count }) => (
+              <FilterOption
+                key={tag}
+                label={tag}
+                count={count}
+                active={filters.tags.includes(tag)}
+                onClick={() => toggleInList('tags', tag)}
+              />
+            ))}
+          </div>
+        </FilterSection>
+      )}
+
+      {authors.length > 0 && (
+        <FilterSection icon={User} title="Authors">
+          <div className="space-y-1">
+            {authors.map((author) => (
+              <FilterOption
+                key={author._id}
+                label={
+                  author.firstName
+                    ? `${author.firstName} ${author.lastName}`
+                    : author.username
+                }
+                count={author.count}
+                active={filters.authors.includes(author._id)}
+                onClick={() => toggleInList('authors', author._id)}
+              />
+            ))}
+          </div>
+        </FilterSection>
+      )}
+
+      {months.length > 0 && (
+        <FilterSection icon={Calendar} title="Published">
+          <div className="space-y-1">
+            {months.map(({ month, count }) => (
+              <FilterOption
+                key={month}
+                label={format(new Date(`${month}-01T00:00:00`), 'MMMM yyyy')}
+                count={count}
+                active={filters.month === month}
+                onClick={() => toggleMonth(month)}
+              />
+            ))}
+          </div>
+        </FilterSection>
+      )}
+
+      <FilterSection icon={Eye} title="Minimum views">
+        <input
+          type="number"
+          min="0"
+          value={filters.minViews}
+          onChange={(e) => onChange({ ...filters, minViews: e.target.value })}
+          className="input w-full"
+          placeholder="Any"
+        />
+      </FilterSection>
+    </aside>
+  );
+};
+
+export default FilterSidebar;
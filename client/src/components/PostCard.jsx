@@ -1,7 +1,7 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
 import { formatDistanceToNow } from 'date-fns';
-import { Eye, MessageCircle, Tag } from 'lucide-react';
+import { Clock, Eye, Heart, MessageCircle, Tag } from 'lucide-react';
 
 const PostCard = ({ post }) => {
   const {
@@ -14,8 +14,12 @@ const PostCard = ({ post }) => {
     category,
     tags,
     viewCount,
-    comments,
+    commentCount,
+    readingTime,
+    reactionCounts,
+    viewerReactions,
     createdAt,
+    highlights,
   } = post;
 
   return (
@@ -58,9 +62,14 @@ const PostCard = ({ post }) => {
           </Link>
         </h2>
 
-        {/* Excerpt */}
-        {excerpt && (
-          <p className="text-gray-600 mb-4 line-clamp-3">{excerpt}</p>
+        {/* Excerpt, or the matching snippet for search results */}
+        {highlights?.snippet ? (
+          <p
+            className="text-gray-600 mb-4 line-clamp-3 [&_mark]:bg-yellow-100"
+            dangerouslySetInnerHTML={{ __html: highlights.snippet }}
+          />
+        ) : (
+          excerpt && <p className="text-gray-600 mb-4 line-clamp-3">{excerpt}</p>
         )}
 
         {/* Tags */}
@@ -110,6 +119,14 @@ const PostCard = ({ post }) => {
 
             {/* Date */}
             <span>{formatDistanceToNow(new Date(createdAt), { addSuffix: true })}</span>
+
+            {/* Reading Time */}
+            {readingTime && (
+              <span className="flex items-center space-x-1">
+                <Clock className="h-4 w-4" />
+                <span>{readingTime} min read</span>
+              </span>
+            )}
           </div>
 
           {/* Stats */}
@@ -118,9 +135,17 @@ const PostCard = ({ post }) => {
               <Eye className="h-4 w-4" />
               <span>{viewCount || 0}</span>
             </div>
+            <div className="flex items-center space-x-1">
+              <Heart
+                className={`h-4 w-4 ${
+                  viewerReactions?.includes('like') ? 'fill-red-500 text-red-500' : ''
+                }`}
+              />
+              <span>{reactionCounts?.like || 0}</span>
+            </div>
             <div className="flex items-center space-x-1">
               <MessageCircle className="h-4 w-4" />
-              <span>{comments?.length || 0}</span>
+              <span>{commentCount || 0}</span>
             </div>
           </div>
         </div>
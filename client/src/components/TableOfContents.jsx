@@ -0,0 +1,98 @@
+import React, { useEffect, useState } from 'react';
+import { ChevronDown, ChevronRight, List } from 'lucide-react';
+
+// Track which heading the reader is currently looking at
+const useActiveHeading = (ids) => {
+  const [activeId, setActiveId] = useState(ids[0] || null);
+
+  useEffect(() => {
+    const headings = ids.map((id) => document.getElementById(id)).filter(Boolean);
+    if (headings.length === 0) return undefined;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        const visible = entries
+          .filter((entry) => entry.isIntersecting)
+          .sort((a, b) => a.boundingClientRect.top - b.boundingClientRect.top);
+
+        if (visible.length > 0) {
+          setActiveId(visible[0].target.id);
+        }
+      },
+      // A heading counts as current once it reaches the top fifth of the screen
+      { rootMargin: '0px 0px -80% 0px' }
+    );
+
+    headings.forEach((heading) => observer.observe(heading));
+    return () => observer.disconnect();
+  }, [ids.join(',')]);
+
+  return [activeId, setActiveId];
+};
+
+// The sidebar copy stays in view while scrolling; the inline one starts collapsed
+const TableOfContents = ({ toc = [], title = 'On this page', sticky = true, defaultOpen = true }) => {
+  const [isOpen, setIsOpen] = useState(defaultOpen);
+  const [activeId, setActiveId] = useActiveHeading(toc.map((entry) => entry.id));
+
+  if (toc.length < 2) {
+    return null;
+  }
+
+  // Indent relative to the highest heading level used in the post
+  const topLevel = Math.min(...toc.map((entry) => entry.level));
+
+  const handleClick = (e, id) => {
+    e.preventDefault();
+    const heading = document.getElementById(id);
+    if (heading) {
+      heading.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      window.history.replaceState(null, '', `#${id}`);
+      setActiveId(id);
+    }
+  };
+
+  return (
+    <nav
+      className={`card ${sticky ? 'sticky top-24 max-h-[calc(100vh-8rem)] overflow-y-auto' : ''}`}
+      aria-label="Table of contents"
+    >
+      <div className="card-content">
+        <button
+          type="button"
+          onClick={() => setIsOpen(!isOpen)}
+          className="w-full flex items-center justify-between text-sm font-semibold text-gray-900"
+          aria-expanded={isOpen}
+        >
+          <span className="flex items-center space-x-2">
+            <List className="h-4 w-4" />
+            <span>{title}</span>
+          </span>
+          {isOpen ? <ChevronDown className="h-4 w-4" /> : <ChevronRight className="h-4 w-4" />}
+        </button>
+
+        {isOpen && (
+          <ul className="mt-3 space-y-1">
+            {toc.map((entry) => (
+              <li key={entry.id} style={{ paddingLeft: `${(entry.level - topLevel) * 0.75}rem` }}>
+                <a
+                  href={`#${entry.id}`}
+                  onClick={(e) => handleClick(e, entry.id)}
+                  className={`block px-2 py-1 rounded text-sm truncate transition-colors ${
+                    activeId === entry.id
+                      ? 'bg-primary-100 text-primary-700 font-medium'
+                      : 'text-gray-600 hover:text-gray-900 hover:bg-gray-100'
+                  }`}
+                >
+                  {entry.text}
+                </a>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </nav>
+  );
+};
+
+export default TableOfContents;
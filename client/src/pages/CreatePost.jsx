@@ -81,6 +81,14 @@ const CreatePost = () => {
       formData.append('excerpt', data.excerpt || '');
       formData.append('category', data.category);
       formData.append('isPublished', data.isPublished);
+
+      if (data.slug) {
+        formData.append('slug', data.slug);
+      }
+
+      if (data.isPublished && data.publishAt) {
+        formData.append('publishAt', new Date(data.publishAt).toISOString());
+      }
       
       if (tags.length > 0) {
         formData.append('tags', JSON.stringify(tags));
@@ -140,6 +148,28 @@ const CreatePost = () => {
           )}
         </div>
 
+        {/* Slug */}
+        <div>
+          <label htmlFor="slug" className="block text-sm font-medium text-gray-700">
+            URL slug
+          </label>
+          <input
+            id="slug"
+            type="text"
+            {...register('slug', {
+              maxLength: {
+                value: 80,
+                message: 'Slug cannot exceed 80 characters',
+              },
+            })}
+            className="input mt-1"
+            placeholder="Generated from the title if left empty"
+          />
+          {errors.slug && (
+            <p className="mt-1 text-sm text-red-600">{errors.slug.message}</p>
+          )}
+        </div>
+
         {/* Category */}
         <div>
           <label htmlFor="category" className="block text-sm font-medium text-gray-700">
@@ -312,6 +342,23 @@ const CreatePost = () => {
           </label>
         </div>
 
+        {isPublished && (
+          <div>
+            <label htmlFor="publishAt" className="block text-sm font-medium text-gray-700">
+              Schedule for later
+            </label>
+            <input
+              id="publishAt"
+              type="datetime-local"
+              {...register('publishAt')}
+              className="input mt-1"
+            />
+            <p className="mt-1 text-sm text-gray-500">
+              Leave empty to publish now. Scheduled posts go live automatically.
+            </p>
+          </div>
+        )}
+
         {/* Submit Buttons */}
         <div className="flex justify-end space-x-4">
           <button
@@ -4,6 +4,7 @@ import { Search, Plus } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { postService, categoryService } from '../services/api';
 import PostCard from '../components/PostCard';
+import FilterSidebar from '../components/FilterSidebar';
 import LoadingSpinner from '../components/LoadingSpinner';
 import toast from 'react-hot-toast';
 
@@ -17,15 +18,27 @@ const Home = () => {
   const [selectedCategory, setSelectedCategory] = useState(searchParams.get('category') || '');
   const [pagination, setPagination] = useState({});
   const [currentPage, setCurrentPage] = useState(1);
+  const [facets, setFacets] = useState({});
+  const [filters, setFilters] = useState({
+    tags: [],
+    tagMode: 'any',
+    authors: [],
+    month: '',
+    from: '',
+    to: '',
+    minViews: '',
+  });
 
   // Fetch posts
   const fetchPosts = async (page = 1) => {
     try {
       setLoading(true);
-      const response = await postService.getAllPosts(page, 12, selectedCategory);
+      const { month, ...apiFilters } = filters;
+      const response = await postService.getAllPosts(page, 12, selectedCategory, apiFilters);
       if (response.success) {
         setPosts(response.data);
         setPagination(response.pagination);
+        setFacets(response.facets || {});
       }
     } catch (error) {
       console.error('Error fetching posts:', error);
@@ -57,6 +70,7 @@ const Home = () => {
         if (response.success) {
           setPosts(response.data);
           setPagination(response.pagination);
+          setFacets(response.facets || {});
           setSearchParams({ search: searchQuery });
         }
       } catch (error) {
@@ -76,6 +90,12 @@ const Home = () => {
     setSearchParams(categoryId === selectedCategory ? {} : { category: categoryId });
   };
 
+  // Handle sidebar filter changes
+  const handleFiltersChange = (newFilters) => {
+    setFilters(newFilters);
+    setCurrentPage(1);
+  };
+
   // Handle pagination
   const handlePageChange = (page) => {
     setCurrentPage(page);
@@ -94,7 +114,13 @@ const Home = () => {
   useEffect(() => {
     fetchPosts(currentPage);
     fetchCategories();
-  }, [selectedCategory, currentPage]);
+  }, [selectedCategory, currentPage, filters]);
+
+  // Post counts per category for the current filters
+  const categoryCounts = (facets.categories || []).reduce((counts, facet) => {
+    counts[facet._id] = facet.count;
+    return counts;
+  }, {});
 
   if (loading && posts.length === 0) {
     return <LoadingSpinner />;
@@ -174,90 +200,101 @@ const Home = () => {
                 }}
               >
                 {category.icon} {category.name}
+                {categoryCounts[category._id] !== undefined && (
+                  <span className="ml-1 opacity-75">({categoryCounts[category._id]})</span>
+                )}
               </button>
             ))}
           </div>
         </div>
       )}
 
-      {/* Posts Grid */}
-      <div className="space-y-6">
-        <div className="flex items-center justify-between">
-          <h2 className="text-2xl font-bold text-gray-900">
-            {searchQuery ? `Search Results for "${searchQuery}"` : 'Latest Posts'}
-          </h2>
-          {posts.length > 0 && (
-            <p className="text-gray-600">
-              Showing {posts.length} of {pagination.totalPosts || 0} posts
-            </p>
-          )}
-        </div>
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+        <FilterSidebar
+          facets={facets}
+          filters={filters}
+          onChange={handleFiltersChange}
+        />
 
-        {loading ? (
-          <LoadingSpinner />
-        ) : posts.length > 0 ? (
-          <>
-            <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-6">
-              {posts.map((post) => (
-                <PostCard key={post._id} post={post} />
-              ))}
-            </div>
+        {/* Posts Grid */}
+        <div className="lg:col-span-3 space-y-6">
+          <div className="flex items-center justify-between">
+            <h2 className="text-2xl font-bold text-gray-900">
+              {searchQuery ? `Search Results for "${searchQuery}"` : 'Latest Posts'}
+            </h2>
+            {posts.length > 0 && (
+              <p className="text-gray-600">
+                Showing {posts.length} of {pagination.totalPosts || 0} posts
+              </p>
+            )}
+          </div>
 
-            {/* Pagination */}
-            {pagination.totalPages > 1 && (
-              <div className="flex justify-center space-x-2">
-                <button
-                  onClick={() => handlePageChange(currentPage - 1)}
-                  disabled={!pagination.hasPrevPage}
-                  className="btn btn-outline btn-sm disabled:opacity-50"
-                >
-                  Previous
-                </button>
-                
-                {Array.from({ length: pagination.totalPages }, (_, i) => i + 1).map((page) => (
+          {loading ? (
+            <LoadingSpinner />
+          ) : posts.length > 0 ? (
+            <>
+              <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
+                {posts.map((post) => (
+                  <PostCard key={post._id} post={post} />
+                ))}
+              </div>
+
+              {/* Pagination */}
+              {pagination.totalPages > 1 && (
+                <div className="flex justify-center space-x-2">
                   <button
-                    key={page}
-                    onClick={() => handlePageChange(page)}
-                    className={`btn btn-sm ${
-                      page === currentPage
-                        ? 'btn-primary'
-                        : 'btn-outline'
-                    }`}
+                    onClick={() => handlePageChange(currentPage - 1)}
+                    disabled={!pagination.hasPrevPage}
+                    className="btn btn-outline btn-sm disabled:opacity-50"
                   >
-                    {page}
+                    Previous
                   </button>
-                ))}
                 
-                <button
-                  onClick={() => handlePageChange(currentPage + 1)}
-                  disabled={!pagination.hasNextPage}
-                  className="btn btn-outline btn-sm disabled:opacity-50"
-                >
-                  Next
-                </button>
+                  {Array.from({ length: pagination.totalPages }, (_, i) => i + 1).map((page) => (
+                    <button
+                      key={page}
+                      onClick={() => handlePageChange(page)}
+                      className={`btn btn-sm ${
+                        page === currentPage
+                          ? 'btn-primary'
+                          : 'btn-outline'
+                      }`}
+                    >
+                      {page}
+                    </button>
+                  ))}
+                
+                  <button
+                    onClick={() => handlePageChange(currentPage + 1)}
+                    disabled={!pagination.hasNextPage}
+                    className="btn btn-outline btn-sm disabled:opacity-50"
+                  >
+                    Next
+                  </button>
+                </div>
+              )}
+            </>
+          ) : (
+            <div className="text-center py-12">
+              <div className="text-gray-400 mb-4">
+                <Search className="h-16 w-16 mx-auto" />
               </div>
-            )}
-          </>
-        ) : (
-          <div className="text-center py-12">
-            <div className="text-gray-400 mb-4">
-              <Search className="h-16 w-16 mx-auto" />
+              <h3 className="text-lg font-medium text-gray-900 mb-2">
+                {searchQuery ? 'No posts found' : 'No posts yet'}
+              </h3>
+              <p className="text-gray-600 mb-6">
+                {searchQuery
+                  ? 'Try adjusting your search terms or browse all posts.'
+                  : 'Be the first to create a post!'}
+              </p>
+              {isAuthenticated && !searchQuery && (
+                <Link to="/create-post" className="btn btn-primary">
+                  Create Your First Post
+                </Link>
+              )}
             </div>
-            <h3 className="text-lg font-medium text-gray-900 mb-2">
-              {searchQuery ? 'No posts found' : 'No posts yet'}
-            </h3>
-            <p className="text-gray-600 mb-6">
-              {searchQuery
-                ? 'Try adjusting your search terms or browse all posts.'
-                : 'Be the first to create a post!'}
-            </p>
-            {isAuthenticated && !searchQuery && (
-              <Link to="/create-post" className="btn btn-primary">
-                Create Your First Post
-              </Link>
-            )}
-          </div>
-        )}
+          )}
+        </div>
       </div>
     </div>
   );
@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { formatDistanceToNow } from 'date-fns';
+import { Clock, Eye, Tag } from 'lucide-react';
+import { postService } from '../services/api';
+import TableOfContents from '../components/TableOfContents';
+import LoadingSpinner from '../components/LoadingSpinner';
+import toast from 'react-hot-toast';
+
+const PostDetail = () => {
+  const { id } = useParams();
+  const [post, setPost] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [notFound, setNotFound] = useState(false);
+
+  // Fetch post
+  const fetchPost = async () => {
+    try {
+      setLoading(true);
+      setNotFound(false);
+      const response = await postService.getPost(id);
+      if (response.success) {
+        setPost(response.data);
+      }
+    } catch (error) {
+      if (error.response?.status === 404) {
+        setNotFound(true);
+      } else {
+        console.error('Error fetching post:', error);
+        toast.error('Failed to load post');
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchPost();
+  }, [id]);
+
+  // Jump to the heading in the URL once the content is on the page
+  useEffect(() => {
+    if (!post || !window.location.hash) return;
+    const heading = document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+    if (heading) {
+      heading.scrollIntoView({ block: 'start' });
+    }
+  }, [post]);
+
+  if (loading) {
+    return <LoadingSpinner />;
+  }
+
+  if (notFound || !post) {
+    return (
+      <div className="text-center py-12">
+        <h1 className="text-2xl font-bold text-gray-900 mb-2">Post not found</h1>
+        <p className="text-gray-600 mb-6">It may have been moved or deleted.</p>
+        <Link to="/" className="btn btn-primary btn-md">
+          Back to posts
+        </Link>
+      </div>
+    );
+  }
+
+  const { title, contentHtml, toc = [], featuredImage, author, category, tags } = post;
+  const hasToc = toc.length >= 2;
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-4 gap-8">
+      <article className={hasToc ? 'lg:col-span-3' : 'lg:col-span-4 max-w-4xl mx-auto w-full'}>
+        {/* Featured Image */}
+        {featuredImage && featuredImage !== 'default-post.jpg' && (
+          <div className="aspect-video overflow-hidden rounded-lg mb-6">
+            <img
+              src={`/uploads/${featuredImage}`}
+              alt={title}
+              className="w-full h-full object-cover"
+            />
+          </div>
+        )}
+
+        {/* Category */}
+        {category && (
+          <Link
+            to={`/categories/${category._id}`}
+            className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium mb-3"
+            style={{
+              backgroundColor: `${category.color}20`,
+              color: category.color,
+            }}
+          >
+            {category.icon} {category.name}
+          </Link>
+        )}
+
+        <h1 className="text-4xl font-bold text-gray-900 mb-4">{title}</h1>
+
+        {/* Meta Information */}
+        <div className="flex flex-wrap items-center gap-4 text-sm text-gray-500 mb-8">
+          {author && (
+            <span>
+              {author.firstName ? `${author.firstName} ${author.lastName}` : author.username}
+            </span>
+          )}
+          <span>
+            {formatDistanceToNow(new Date(post.publishedAt || post.createdAt), { addSuffix: true })}
+          </span>
+          {post.readingTime && (
+            <span className="flex items-center space-x-1">
+              <Clock className="h-4 w-4" />
+              <span>{post.readingTime} min read</span>
+            </span>
+          )}
+          <span className="flex items-center space-x-1">
+            <Eye className="h-4 w-4" />
+            <span>{post.viewCount || 0}</span>
+          </span>
+        </div>
+
+        {/* Below the lg breakpoint there is no sidebar, so offer the contents inline */}
+        {hasToc && (
+          <div className="lg:hidden mb-8">
+            <TableOfContents toc={toc} sticky={false} defaultOpen={false} />
+          </div>
+        )}
+
+        {/* contentHtml is sanitized by the server when the post is saved */}
+        <div className="post-content" dangerouslySetInnerHTML={{ __html: contentHtml || '' }} />
+
+        {/* Tags */}
+        {tags && tags.length > 0 && (
+          <div className="flex flex-wrap gap-2 mt-8">
+            {tags.map((tag) => (
+              <span
+                key={tag}
+                className="inline-flex items-center px-2 py-1 rounded text-xs bg-gray-100 text-gray-700"
+              >
+                <Tag className="h-3 w-3 mr-1" />
+                {tag}
+              </span>
+            ))}
+          </div>
+        )}
+      </article>
+
+      {hasToc && (
+        <aside className="hidden lg:block">
+          <TableOfContents toc={toc} />
+        </aside>
+      )}
+    </div>
+  );
+};
+
+export default PostDetail;
@@ -41,18 +41,39 @@ api.interceptors.response.use(
 // Post API services
 export const postService = {
   // Get all posts with optional pagination and filters
-  getAllPosts: async (page = 1, limit = 10, category = null) => {
-    let url = `/posts?page=${page}&limit=${limit}`;
+  // filters: { tags, tagMode, authors, from, to, minViews }
+  getAllPosts: async (page = 1, limit = 10, category = null, filters = {}) => {
+    const params = new URLSearchParams({ page, limit });
     if (category) {
-      url += `&category=${category}`;
+      params.append('category', category);
     }
-    const response = await api.get(url);
+    Object.entries(filters).forEach(([key, value]) => {
+      if (Array.isArray(value)) {
+        if (value.length > 0) params.append(key, value.join(','));
+      } else if (value) {
+        params.append(key, value);
+      }
+    });
+    const response = await api.get(`/posts?${params.toString()}`);
     return response.data;
   },
 
   // Get a single post by ID or slug
-  getPost: async (idOrSlug) => {
-    const response = await api.get(`/posts/${idOrSlug}`);
+  getPost: async (idOrSlug, format) => {
+    const query = format ? `?format=${format}` : '';
+    const response = await api.get(`/posts/${idOrSlug}${query}`);
+    return response.data;
+  },
+
+  // Get trending posts for a window (day, week or month)
+  getTrendingPosts: async (window = 'week', limit = 10) => {
+    const response = await api.get(`/posts/trending?window=${window}&limit=${limit}`);
+    return response.data;
+  },
+
+  // Get posts related to a post
+  getRelatedPosts: async (idOrSlug, limit = 5) => {
+    const response = await api.get(`/posts/${idOrSlug}/related?limit=${limit}`);
     return response.data;
   },
 
@@ -62,9 +83,11 @@ export const postService = {
     return response.data;
   },
 
-  // Update an existing post
-  updatePost: async (id, postData) => {
-    const response = await api.put(`/posts/${id}`, postData);
+  // Update an existing post (version from getPost, or '*' to overwrite)
+  updatePost: async (id, postData, version) => {
+    const response = await api.put(`/posts/${id}`, postData, {
+      headers: { 'If-Match': version === '*' ? '*' : `"${version}"` },
+    });
     return response.data;
   },
 
@@ -74,15 +97,162 @@ export const postService = {
     return response.data;
   },
 
+  // Get comment threads of a post (sort: newest, oldest or top)
+  getComments: async (postId, page = 1, sort = 'newest') => {
+    const response = await api.get(
+      `/posts/${postId}/comments?page=${page}&sort=${sort}`
+    );
+    return response.data;
+  },
+
   // Add a comment to a post
   addComment: async (postId, commentData) => {
     const response = await api.post(`/posts/${postId}/comments`, commentData);
     return response.data;
   },
 
+  // Reply to a comment
+  addReply: async (postId, commentId, commentData) => {
+    const response = await api.post(
+      `/posts/${postId}/comments/${commentId}/replies`,
+      commentData
+    );
+    return response.data;
+  },
+
+  // Edit own comment
+  updateComment: async (postId, commentId, commentData) => {
+    const response = await api.put(
+      `/posts/${postId}/comments/${commentId}`,
+      commentData
+    );
+    return response.data;
+  },
+
+  // Remove a comment
+  deleteComment: async (postId, commentId) => {
+    const response = await api.delete(`/posts/${postId}/comments/${commentId}`);
+    return response.data;
+  },
+
   // Search posts
-  searchPosts: async (query) => {
-    const response = await api.get(`/posts/search?q=${query}`);
+  searchPosts: async (query, page = 1) => {
+    const response = await api.get(
+      `/posts/search?q=${encodeURIComponent(query)}&page=${page}`
+    );
+    return response.data;
+  },
+
+  // React to a post (type: like or another configured reaction)
+  addReaction: async (postId, type = 'like') => {
+    const response = await api.post(`/posts/${postId}/reactions`, { type });
+    return response.data;
+  },
+
+  // Remove a reaction from a post
+  removeReaction: async (postId, type = 'like') => {
+    const response = await api.delete(`/posts/${postId}/reactions?type=${type}`);
+    return response.data;
+  },
+
+  // React to a comment
+  addCommentReaction: async (postId, commentId, type = 'like') => {
+    const response = await api.post(
+      `/posts/${postId}/comments/${commentId}/reactions`,
+      { type }
+    );
+    return response.data;
+  },
+
+  // Remove a reaction from a comment
+  removeCommentReaction: async (postId, commentId, type = 'like') => {
+    const response = await api.delete(
+      `/posts/${postId}/comments/${commentId}/reactions?type=${type}`
+    );
+    return response.data;
+  },
+
+  // Get the available reaction types
+  getReactionTypes: async () => {
+    const response = await api.get('/posts/reactions/types');
+    return response.data;
+  },
+
+  // Get who is currently editing a post
+  getLock: async (id) => {
+    const response = await api.get(`/posts/${id}/lock`);
+    return response.data;
+  },
+
+  // Acquire the edit lock (admins can force a takeover)
+  acquireLock: async (id, force = false) => {
+    const response = await api.post(`/posts/${id}/lock`, { force });
+    return response.data;
+  },
+
+  // Heartbeat to keep the edit lock alive
+  renewLock: async (id) => {
+    const response = await api.put(`/posts/${id}/lock`);
+    return response.data;
+  },
+
+  // Release the edit lock
+  releaseLock: async (id) => {
+    const response = await api.delete(`/posts/${id}/lock`);
+    return response.data;
+  },
+
+  // Apply an action (publish, unpublish, move, addTags, removeTags, delete) to many posts
+  bulkUpdatePosts: async (ids, action, options = {}) => {
+    const response = await api.post('/posts/bulk', { ids, action, ...options });
+    return response.data;
+  },
+
+  // Get the current user's trashed posts (all trashed posts for admins)
+  getTrash: async (page = 1, limit = 10) => {
+    const response = await api.get(`/posts/trash?page=${page}&limit=${limit}`);
+    return response.data;
+  },
+
+  // Restore a post from the trash
+  restorePost: async (id) => {
+    const response = await api.post(`/posts/${id}/restore`);
+    return response.data;
+  },
+
+  // Bookmark a post
+  addBookmark: async (postId) => {
+    const response = await api.post(`/posts/${postId}/bookmark`);
+    return response.data;
+  },
+
+  // Remove a bookmark
+  removeBookmark: async (postId) => {
+    const response = await api.delete(`/posts/${postId}/bookmark`);
+    return response.data;
+  },
+
+  // Get the current user's bookmarked posts
+  getMyBookmarks: async (page = 1, limit = 10) => {
+    const response = await api.get(`/auth/me/bookmarks?page=${page}&limit=${limit}`);
+    return response.data;
+  },
+
+  // Get the revision history of a post
+  getRevisions: async (postId, page = 1) => {
+    const response = await api.get(`/posts/${postId}/revisions?page=${page}`);
+    return response.data;
+  },
+
+  // Get a diff of a revision against the current post
+  getRevisionDiff: async (postId, rev) => {
+    const response = await api.get(`/posts/${postId}/revisions/${rev}/diff`);
+    return response.data;
+  },
+
+  // Restore a post to a previous revision
+  restoreRevision: async (postId, rev) => {
+    const response = await api.post(`/posts/${postId}/revisions/${rev}/restore`);
     return response.data;
   },
 };
@@ -102,6 +272,191 @@ export const categoryService = {
   },
 };
 
+// Tag API services
+export const tagService = {
+  // Get all tags with post counts
+  getAllTags: async () => {
+    const response = await api.get('/tags');
+    return response.data;
+  },
+
+  // Get posts with a tag
+  getPostsByTag: async (slug, page = 1, limit = 10) => {
+    const response = await api.get(
+      `/tags/${encodeURIComponent(slug)}/posts?page=${page}&limit=${limit}`
+    );
+    return response.data;
+  },
+
+  // Rename or merge tags across all posts (admin only)
+  renameTags: async (from, to) => {
+    const response = await api.post('/tags/rename', { from, to });
+    return response.data;
+  },
+};
+
+// Series API services
+export const seriesService = {
+  // Get all series, optionally by one author
+  getAllSeries: async (page = 1, limit = 10, author = null) => {
+    let url = `/series?page=${page}&limit=${limit}`;
+    if (author) {
+      url += `&author=${author}`;
+    }
+    const response = await api.get(url);
+    return response.data;
+  },
+
+  // Get a series with its posts in order
+  getSeries: async (idOrSlug) => {
+    const response = await api.get(`/series/${idOrSlug}`);
+    return response.data;
+  },
+
+  // Create a series
+  createSeries: async (seriesData) => {
+    const response = await api.post('/series', seriesData);
+    return response.data;
+  },
+
+  // Update a series' title or description
+  updateSeries: async (id, seriesData) => {
+    const response = await api.put(`/series/${id}`, seriesData);
+    return response.data;
+  },
+
+  // Delete a series (its posts are kept)
+  deleteSeries: async (id) => {
+    const response = await api.delete(`/series/${id}`);
+    return response.data;
+  },
+
+  // Add a post to a series, optionally at a 1-based position
+  addPost: async (id, postId, position) => {
+    const response = await api.post(`/series/${id}/posts`, { postId, position });
+    return response.data;
+  },
+
+  // Remove a post from a series
+  removePost: async (id, postId) => {
+    const response = await api.delete(`/series/${id}/posts/${postId}`);
+    return response.data;
+  },
+
+  // Reorder a series' posts
+  reorderPosts: async (id, postIds) => {
+    const response = await api.put(`/series/${id}/posts/order`, { postIds });
+    return response.data;
+  },
+};
+
+// Analytics API services
+export const analyticsService = {
+  // Get analytics for one of the current user's posts
+  getPostAnalytics: async (id, from, to) => {
+    const params = new URLSearchParams();
+    if (from) params.append('from', from);
+    if (to) params.append('to', to);
+    const response = await api.get(`/analytics/posts/${id}?${params.toString()}`);
+    return response.data;
+  },
+
+  // Get site-wide analytics (admin only)
+  getOverview: async (from, to, limit = 10) => {
+    const params = new URLSearchParams({ limit });
+    if (from) params.append('from', from);
+    if (to) params.append('to', to);
+    const response = await api.get(`/analytics/overview?${params.toString()}`);
+    return response.data;
+  },
+};
+
+// Moderation API services (moderators and admins)
+export const moderationService = {
+  // Get comments with a moderation status (pending by default)
+  getComments: async (status = 'pending', page = 1) => {
+    const response = await api.get(
+      `/moderation/comments?status=${status}&page=${page}`
+    );
+    return response.data;
+  },
+
+  // Approve a comment
+  approveComment: async (commentId) => {
+    const response = await api.post(`/moderation/comments/${commentId}/approve`);
+    return response.data;
+  },
+
+  // Reject a comment
+  rejectComment: async (commentId) => {
+    const response = await api.post(`/moderation/comments/${commentId}/reject`);
+    return response.data;
+  },
+
+  // Mark a comment as spam
+  markCommentAsSpam: async (commentId) => {
+    const response = await api.post(`/moderation/comments/${commentId}/spam`);
+    return response.data;
+  },
+};
+
+// Reading list API services
+export const readingListService = {
+  // Get the current user's reading lists
+  getMyReadingLists: async () => {
+    const response = await api.get('/reading-lists');
+    return response.data;
+  },
+
+  // Get a reading list with its posts
+  getReadingList: async (id) => {
+    const response = await api.get(`/reading-lists/${id}`);
+    return response.data;
+  },
+
+  // Get a publicly shared reading list by its share token
+  getSharedReadingList: async (token) => {
+    const response = await api.get(`/reading-lists/shared/${token}`);
+    return response.data;
+  },
+
+  // Create a reading list
+  createReadingList: async (listData) => {
+    const response = await api.post('/reading-lists', listData);
+    return response.data;
+  },
+
+  // Update a reading list's name, description or sharing
+  updateReadingList: async (id, listData) => {
+    const response = await api.put(`/reading-lists/${id}`, listData);
+    return response.data;
+  },
+
+  // Delete a reading list
+  deleteReadingList: async (id) => {
+    const response = await api.delete(`/reading-lists/${id}`);
+    return response.data;
+  },
+
+  // Add a post to a reading list
+  addPost: async (id, postId) => {
+    const response = await api.post(`/reading-lists/${id}/posts`, { postId });
+    return response.data;
+  },
+
+  // Remove a post from a reading list
+  removePost: async (id, postId) => {
+    const response = await api.delete(`/reading-lists/${id}/posts/${postId}`);
+    return response.data;
+  },
+
+  // Reorder a reading list's posts
+  reorderPosts: async (id, postIds) => {
+    const response = await api.put(`/reading-lists/${id}/posts/order`, { postIds });
+    return response.data;
+  },
+};
+
 // Auth API services
 export const authService = {
   // Register a new user
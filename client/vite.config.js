@@ -11,6 +11,10 @@ export default defineConfig({
         target: 'http://localhost:5000',
         changeOrigin: true,
       },
+      '^/(sitemap\\.xml|sitemaps/.*|robots\\.txt|feed\\.xml|atom\\.xml|feed\\.json)$': {
+        target: 'http://localhost:5000',
+        changeOrigin: true,
+      },
     },
   },
 }) 
\ No newline at end of file
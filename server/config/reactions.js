@@ -0,0 +1,19 @@
+// reactions.js - Reaction type configuration
+
+// "like" is always available; REACTION_TYPES adds to or replaces the rest
+const DEFAULT_REACTION_TYPES = ['like', 'love', 'laugh', 'wow', 'celebrate'];
+
+// Read on use rather than at load time so a value from .env is honoured
+const getReactionTypes = () => {
+  const configured = (process.env.REACTION_TYPES || '')
+    .split(',')
+    .map((type) => type.trim().toLowerCase())
+    .filter((type) => /^[a-z_-]{1,20}$/.test(type));
+
+  return [...new Set(['like', ...(configured.length ? configured : DEFAULT_REACTION_TYPES)])];
+};
+
+module.exports = {
+  DEFAULT_REACTION_TYPES,
+  getReactionTypes,
+};
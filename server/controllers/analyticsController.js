@@ -0,0 +1,224 @@
+// analyticsController.js - Post and site analytics controller
+
+const Post = require('../models/Post');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const Comment = require('../models/Comment');
+const Reaction = require('../models/Reaction');
+const ViewEvent = require('../models/ViewEvent');
+const { getDateRange, fillDays, countsToObject } = require('../utils/analytics');
+
+const dayOf = (field) => ({ $dateToString: { format: '%Y-%m-%d', date: field } });
+
+// @desc    Get analytics for a single post
+// @route   GET /api/analytics/posts/:id
+// @access  Private (Author or Admin)
+const getPostAnalytics = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    // Check if id is ObjectId or slug
+    const isObjectId = /^[0-9a-fA-F]{24}$/.test(id);
+    const post = await Post.findOne(isObjectId ? { _id: id } : { slug: id }).select(
+      'title slug author viewCount'
+    );
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found',
+      });
+    }
+
+    // Check if user is author or admin
+    if (post.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to view analytics for this post',
+      });
+    }
+
+    const range = getDateRange(req.query);
+    const createdAt = { $gte: range.from, $lt: range.to };
+    const viewMatch = { post: post._id, createdAt };
+
+    const [viewsPerDay, visitorTotals, referrers, reactions, comments] = await Promise.all([
+      ViewEvent.aggregate([
+        { $match: viewMatch },
+        {
+          $group: {
+            _id: dayOf('$createdAt'),
+            views: { $sum: 1 },
+            visitors: { $addToSet: '$visitor' },
+          },
+        },
+        { $project: { _id: 0, date: '$_id', views: 1, uniqueVisitors: { $size: '$visitors' } } },
+        { $sort: { date: 1 } },
+      ]),
+      ViewEvent.aggregate([
+        { $match: viewMatch },
+        { $group: { _id: '$visitor', views: { $sum: 1 } } },
+        { $group: { _id: null, views: { $sum: '$views' }, uniqueVisitors: { $sum: 1 } } },
+      ]),
+      ViewEvent.aggregate([
+        { $match: viewMatch },
+        { $group: { _id: '$referrer', views: { $sum: 1 } } },
+        { $sort: { views: -1 } },
+        { $limit: 10 },
+        { $project: { _id: 0, referrer: { $ifNull: ['$_id', 'direct'] }, views: 1 } },
+      ]),
+      Reaction.aggregate([
+        { $match: { target: post._id, createdAt } },
+        { $group: { _id: '$type', count: { $sum: 1 } } },
+      ]),
+      Comment.aggregate([
+        { $match: { post: post._id, createdAt } },
+        { $group: { _id: '$status', count: { $sum: 1 } } },
+      ]),
+    ]);
+
+    const totals = visitorTotals[0] || { views: 0, uniqueVisitors: 0 };
+    const reactionsByType = countsToObject(reactions);
+    const commentsByStatus = countsToObject(comments);
+
+    res.json({
+      success: true,
+      data: {
+        post: {
+          _id: post._id,
+          title: post.title,
+          slug: post.slug,
+          viewCount: post.viewCount,
+        },
+        range,
+        views: totals.views,
+        uniqueVisitors: totals.uniqueVisitors,
+        viewsPerDay: fillDays(range, viewsPerDay, { views: 0, uniqueVisitors: 0 }),
+        referrers,
+        reactions: {
+          total: reactions.reduce((sum, row) => sum + row.count, 0),
+          byType: reactionsByType,
+        },
+        comments: {
+          total: comments.reduce((sum, row) => sum + row.count, 0),
+          byStatus: commentsByStatus,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get post analytics error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Get site-wide analytics
+// @route   GET /api/analytics/overview
+// @access  Private (Admin)
+const getOverview = async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+    const range = getDateRange(req.query);
+    const createdAt = { $gte: range.from, $lt: range.to };
+
+    // Rank by views, grouping per post first so each post is looked up once
+    const rankByViews = (field, from, project) => [
+      { $group: { _id: `$post.${field}`, views: { $sum: '$views' }, posts: { $sum: 1 } } },
+      { $sort: { views: -1 } },
+      { $limit: limit },
+      {
+        $lookup: {
+          from,
+          let: { id: '$_id' },
+          pipeline: [{ $match: { $expr: { $eq: ['$_id', '$$id'] } } }, { $project: project }],
+          as: field,
+        },
+      },
+      { $unwind: `$${field}` },
+      { $project: { _id: 0, [field]: 1, views: 1, posts: 1 } },
+    ];
+
+    const [[rankings], visitorTotals, newUsers, postsPerWeek] = await Promise.all([
+      ViewEvent.aggregate([
+        { $match: { createdAt } },
+        { $group: { _id: '$post', views: { $sum: 1 } } },
+        {
+          $lookup: {
+            from: Post.collection.name,
+            let: { id: '$_id' },
+            pipeline: [
+              { $match: { $expr: { $eq: ['$_id', '$$id'] } } },
+              { $project: { title: 1, slug: 1, author: 1, category: 1 } },
+            ],
+            as: 'post',
+          },
+        },
+        { $unwind: '$post' },
+        {
+          $facet: {
+            topPosts: [
+              { $sort: { views: -1 } },
+              { $limit: limit },
+              { $project: { _id: 0, post: { _id: 1, title: 1, slug: 1 }, views: 1 } },
+            ],
+            topCategories: rankByViews('category', Category.collection.name, {
+              name: 1,
+              slug: 1,
+              color: 1,
+            }),
+            topAuthors: rankByViews('author', User.collection.name, {
+              username: 1,
+              firstName: 1,
+              lastName: 1,
+              avatar: 1,
+            }),
+          },
+        },
+      ]),
+      ViewEvent.aggregate([
+        { $match: { createdAt } },
+        { $group: { _id: '$visitor', views: { $sum: 1 } } },
+        { $group: { _id: null, views: { $sum: '$views' }, uniqueVisitors: { $sum: 1 } } },
+      ]),
+      User.countDocuments({ createdAt }),
+      Post.aggregate([
+        { $match: { isPublished: true, publishedAt: { $gte: range.from, $lt: range.to } } },
+        {
+          $group: {
+            _id: { $dateToString: { format: '%G-W%V', date: '$publishedAt' } },
+            posts: { $sum: 1 },
+          },
+        },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0, week: '$_id', posts: 1 } },
+      ]),
+    ]);
+
+    const totals = visitorTotals[0] || { views: 0, uniqueVisitors: 0 };
+
+    res.json({
+      success: true,
+      data: {
+        range,
+        views: totals.views,
+        uniqueVisitors: totals.uniqueVisitors,
+        newUsers,
+        postsPerWeek,
+        ...rankings,
+      },
+    });
+  } catch (error) {
+    console.error('Get analytics overview error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+module.exports = {
+  getPostAnalytics,
+  getOverview,
+};
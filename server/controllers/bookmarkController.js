@@ -0,0 +1,127 @@
+// bookmarkController.js - Bookmark controller
+
+const Post = require('../models/Post');
+const Bookmark = require('../models/Bookmark');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+// @desc    Bookmark a post
+// @route   POST /api/posts/:id/bookmark
+// @access  Private
+const addBookmark = async (req, res) => {
+  try {
+    const post = await Post.findOne(Post.publicFilter({ _id: req.params.id })).select('_id');
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found',
+      });
+    }
+
+    try {
+      await Bookmark.create({ user: req.user._id, post: post._id });
+    } catch (error) {
+      // Already bookmarked
+      if (error.code !== DUPLICATE_KEY_ERROR) {
+        throw error;
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      data: { post: post._id, bookmarked: true },
+    });
+  } catch (error) {
+    console.error('Add bookmark error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Remove a bookmark
+// @route   DELETE /api/posts/:id/bookmark
+// @access  Private
+const removeBookmark = async (req, res) => {
+  try {
+    await Bookmark.deleteOne({ user: req.user._id, post: req.params.id });
+
+    res.json({
+      success: true,
+      data: { post: req.params.id, bookmarked: false },
+    });
+  } catch (error) {
+    console.error('Remove bookmark error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Get current user's bookmarked posts
+// @route   GET /api/auth/me/bookmarks
+// @access  Private
+const getMyBookmarks = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    // Only count and page through bookmarks whose post readers can still see;
+    // posts unpublished or trashed since bookmarking are left out
+    const bookmarkedPostIds = await Bookmark.distinct('post', { user: req.user._id });
+    const visiblePostIds = await Post.distinct(
+      '_id',
+      Post.publicFilter({ _id: { $in: bookmarkedPostIds } })
+    );
+    const query = { user: req.user._id, post: { $in: visiblePostIds } };
+
+    const bookmarks = await Bookmark.find(query)
+      .populate({
+        path: 'post',
+        match: Post.publicFilter(),
+        select: '-__v',
+        populate: [
+          { path: 'author', select: 'username firstName lastName avatar' },
+          { path: 'category', select: 'name color icon' },
+        ],
+      })
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    // Guard against a post being unpublished between the two queries
+    const posts = bookmarks
+      .filter((bookmark) => bookmark.post)
+      .map((bookmark) => ({ ...bookmark.post.toJSON(), bookmarkedAt: bookmark.createdAt }));
+
+    const total = await Bookmark.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: posts,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalPosts: total,
+        postsPerPage: limit,
+      },
+    });
+  } catch (error) {
+    console.error('Get my bookmarks error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+module.exports = {
+  addBookmark,
+  removeBookmark,
+  getMyBookmarks,
+};
@@ -2,6 +2,7 @@
 
 const Category = require('../models/Category');
 const Post = require('../models/Post');
+const { saveWithUniqueSlug } = require('../utils/slugs');
 
 // @desc    Get all categories
 // @route   GET /api/categories
@@ -80,12 +81,12 @@ const createCategory = async (req, res) => {
       });
     }
 
-    const category = await Category.create({
+    const category = await saveWithUniqueSlug(new Category({
       name,
       description,
       color,
       icon,
-    });
+    }));
 
     res.status(201).json({
       success: true,
@@ -135,7 +136,7 @@ const updateCategory = async (req, res) => {
     if (icon) category.icon = icon;
     if (isActive !== undefined) category.isActive = isActive;
 
-    const updatedCategory = await category.save();
+    const updatedCategory = await saveWithUniqueSlug(category);
 
     res.json({
       success: true,
@@ -167,7 +168,9 @@ const deleteCategory = async (req, res) => {
     }
 
     // Check if category has posts
-    const postCount = await Post.countDocuments({ category: id });
+    const postCount = await Post.countDocuments({ category: id }).setOptions({
+      withDeleted: true,
+    });
     if (postCount > 0) {
       return res.status(400).json({
         success: false,
@@ -219,21 +222,17 @@ const getPostsByCategory = async (req, res) => {
 
     const skip = (page - 1) * limit;
 
-    const posts = await Post.find({
-      category: category._id,
-      isPublished: true,
-    })
+    const posts = await Post.find(Post.publicFilter({ category: category._id }))
       .populate('author', 'username firstName lastName avatar')
       .populate('category', 'name color icon')
-      .sort({ createdAt: -1 })
+      .sort({ publishedAt: -1 })
       .skip(skip)
       .limit(limit)
       .select('-__v');
 
-    const total = await Post.countDocuments({
-      category: category._id,
-      isPublished: true,
-    });
+    const total = await Post.countDocuments(
+      Post.publicFilter({ category: category._id })
+    );
 
     const totalPages = Math.ceil(total / limit);
 
@@ -0,0 +1,342 @@
+// commentController.js - Threaded comment controller
+
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Reaction = require('../models/Reaction');
+const { checkComment } = require('../utils/spamFilter');
+
+// How long commenters may edit their own comments; read on use so .env is honoured
+const getEditWindowMinutes = () => parseInt(process.env.COMMENT_EDIT_WINDOW_MINUTES) || 15;
+
+// Roles that may remove any comment
+const MODERATOR_ROLES = ['moderator', 'admin'];
+
+const COMMENT_SORTS = {
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 },
+  top: { replyCount: -1, createdAt: -1 },
+};
+
+// Score a new or edited comment for spam; moderators' comments go straight through.
+// Pass the id of an edited comment so it isn't counted as a repeat of itself.
+const screenComment = async (content, user, commentId = null) => {
+  if (MODERATOR_ROLES.includes(user.role)) {
+    return { status: 'approved', spamScore: 0, spamReasons: [] };
+  }
+
+  const { score, reasons, status } = await checkComment({ _id: commentId, content }, { user });
+  return { status, spamScore: score, spamReasons: reasons };
+};
+
+// Nest replies under their parents, oldest first
+const buildThreads = (roots, replies, viewerReactions = new Map()) => {
+  const byId = new Map();
+  [...roots, ...replies].forEach((comment) => {
+    const id = comment._id.toString();
+    byId.set(id, {
+      ...comment.toJSON(),
+      viewerReactions: viewerReactions.get(id) || [],
+      replies: [],
+    });
+  });
+
+  replies.forEach((reply) => {
+    const parent = byId.get(reply.parent.toString());
+    if (parent) {
+      parent.replies.push(byId.get(reply._id.toString()));
+    }
+  });
+
+  return roots.map((root) => byId.get(root._id.toString()));
+};
+
+// @desc    Get paginated comment threads of a post
+// @route   GET /api/posts/:id/comments
+// @access  Public
+const getComments = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const sort = COMMENT_SORTS[req.query.sort] || COMMENT_SORTS.newest;
+
+    const post = await Post.findById(id).select('_id');
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found',
+      });
+    }
+
+    const skip = (page - 1) * limit;
+    const query = { post: post._id, parent: null, status: 'approved' };
+
+    const roots = await Comment.find(query)
+      .populate('author', 'username firstName lastName avatar')
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .select('-__v');
+
+    const replies = await Comment.find({
+      root: { $in: roots.map((root) => root._id) },
+      status: 'approved',
+    })
+      .populate('author', 'username firstName lastName avatar')
+      .sort({ createdAt: 1 })
+      .select('-__v');
+
+    const viewerReactions = await Reaction.findUserReactions(
+      req.user && req.user._id,
+      [...roots, ...replies].map((comment) => comment._id)
+    );
+
+    const total = await Comment.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: buildThreads(roots, replies, viewerReactions),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalComments: total,
+        commentsPerPage: limit,
+      },
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Add comment to post
+// @route   POST /api/posts/:id/comments
+// @access  Private
+const addComment = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { content } = req.body;
+
+    const post = await Post.findById(id).select('_id');
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found',
+      });
+    }
+
+    const comment = await Comment.create({
+      post: post._id,
+      author: req.user._id,
+      content,
+      ...(await screenComment(content, req.user)),
+    });
+
+    if (comment.status === 'approved') {
+      await Comment.adjustCounts(comment, 1);
+    }
+
+    const populatedComment = await Comment.findById(comment._id)
+      .populate('author', 'username firstName lastName avatar')
+      .select('-__v');
+
+    res.status(201).json({
+      success: true,
+      data: populatedComment,
+      ...(comment.status !== 'approved' && {
+        message: 'Your comment is awaiting moderation',
+      }),
+    });
+  } catch (error) {
+    console.error('Add comment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Reply to a comment
+// @route   POST /api/posts/:id/comments/:commentId/replies
+// @access  Private
+const addReply = async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+    const { content } = req.body;
+
+    const parent = await Comment.findOne({ _id: commentId, post: id });
+
+    if (!parent || parent.isRemoved || parent.status !== 'approved') {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found',
+      });
+    }
+
+    const reply = await Comment.create({
+      post: parent.post,
+      author: req.user._id,
+      parent: parent._id,
+      root: parent.root || parent._id,
+      content,
+      ...(await screenComment(content, req.user)),
+    });
+
+    if (reply.status === 'approved') {
+      await Comment.adjustCounts(reply, 1);
+    }
+
+    const populatedReply = await Comment.findById(reply._id)
+      .populate('author', 'username firstName lastName avatar')
+      .select('-__v');
+
+    res.status(201).json({
+      success: true,
+      data: populatedReply,
+      ...(reply.status !== 'approved' && {
+        message: 'Your reply is awaiting moderation',
+      }),
+    });
+  } catch (error) {
+    console.error('Add reply error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Edit own comment within the edit window
+// @route   PUT /api/posts/:id/comments/:commentId
+// @access  Private (Commenter)
+const updateComment = async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+    const { content } = req.body;
+
+    const comment = await Comment.findOne({ _id: commentId, post: id });
+
+    if (!comment || comment.isRemoved) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found',
+      });
+    }
+
+    if (comment.author.toString() !== req.user._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to edit this comment',
+      });
+    }
+
+    const editWindowMinutes = getEditWindowMinutes();
+    if (!comment.isEditableBy(req.user._id, editWindowMinutes)) {
+      return res.status(403).json({
+        success: false,
+        error: `Comments can only be edited within ${editWindowMinutes} minutes of posting`,
+      });
+    }
+
+    // Re-screen edits so links can't be slipped in after approval
+    const screening = await screenComment(content, req.user, comment._id);
+    const wasApproved = comment.status === 'approved';
+
+    comment.content = content;
+    comment.editedAt = new Date();
+    comment.spamScore = screening.spamScore;
+    comment.spamReasons = screening.spamReasons;
+    if (screening.status !== 'approved') {
+      comment.status = screening.status;
+    }
+    await comment.save();
+
+    if (wasApproved && comment.status !== 'approved') {
+      await Comment.adjustCounts(comment, -1);
+    }
+
+    const populatedComment = await Comment.findById(comment._id)
+      .populate('author', 'username firstName lastName avatar')
+      .select('-__v');
+
+    res.json({
+      success: true,
+      data: populatedComment,
+    });
+  } catch (error) {
+    console.error('Update comment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Remove a comment, leaving a placeholder in its thread
+// @route   DELETE /api/posts/:id/comments/:commentId
+// @access  Private (Commenter, Post author, Moderator or Admin)
+const deleteComment = async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+
+    const comment = await Comment.findOne({ _id: commentId, post: id });
+
+    if (!comment || comment.isRemoved) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found',
+      });
+    }
+
+    // Look the post up even if it is in the trash; if it is gone entirely,
+    // only the commenter and moderators may remove the comment
+    const post = await Post.findById(comment.post).setOptions({ withDeleted: true }).select('author');
+
+    const userId = req.user._id.toString();
+    const canRemove =
+      comment.author.toString() === userId ||
+      (post && post.author.toString() === userId) ||
+      MODERATOR_ROLES.includes(req.user.role);
+
+    if (!canRemove) {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to delete this comment',
+      });
+    }
+
+    comment.isRemoved = true;
+    comment.removedBy = req.user._id;
+    comment.removedAt = new Date();
+    await comment.save();
+
+    if (comment.status === 'approved') {
+      await Comment.adjustCounts(comment, -1);
+    }
+
+    res.json({
+      success: true,
+      message: 'Comment removed successfully',
+    });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+module.exports = {
+  getComments,
+  addComment,
+  addReply,
+  updateComment,
+  deleteComment,
+};
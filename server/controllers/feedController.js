@@ -0,0 +1,150 @@
+// feedController.js - RSS, Atom and JSON feed controller
+
+const crypto = require('crypto');
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const { getSiteUrl, absoluteUrl, authorName, toFeedItem, FEED_FORMATS } = require('../utils/feed');
+
+const FEED_LIMIT = 20;
+
+// Find a document by ObjectId or by another unique field
+const findByIdOrField = (Model, id, field) => {
+  const isObjectId = /^[0-9a-fA-F]{24}$/.test(id);
+  return Model.findOne(isObjectId ? { _id: id } : { [field]: id });
+};
+
+// Build and send a feed, answering 304 when the reader's copy is current
+const sendFeed = async (req, res, format, { filter = {}, title, description, link }) => {
+  const { contentType, build } = FEED_FORMATS[format];
+  const fullContent = req.query.content === 'full';
+  const query = Post.publicFilter(filter);
+
+  // Cheap freshness check before loading any posts
+  const [lastUpdated, lastPublished, count] = await Promise.all([
+    Post.findOne(query).sort({ updatedAt: -1 }).select('updatedAt'),
+    Post.findOne(query).sort({ publishedAt: -1 }).select('publishedAt'),
+    Post.countDocuments(query),
+  ]);
+
+  const lastModified = new Date(
+    Math.max(lastUpdated ? lastUpdated.updatedAt : 0, lastPublished ? lastPublished.publishedAt : 0)
+  );
+  const etag = `"${crypto
+    .createHash('md5')
+    .update([format, fullContent, title, lastModified.getTime(), count].join(':'))
+    .digest('hex')}"`;
+
+  res.set({
+    'Content-Type': contentType,
+    'Last-Modified': lastModified.toUTCString(),
+    ETag: etag,
+    'Cache-Control': 'public, max-age=300',
+  });
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  const posts = await Post.find(query)
+    .populate('author', 'username firstName lastName')
+    .populate('category', 'name slug')
+    .sort({ publishedAt: -1 })
+    .limit(FEED_LIMIT);
+
+  const origin = `${req.protocol}://${req.get('host')}`;
+  const items = posts.map((post) => toFeedItem(post, { fullContent, imageBaseUrl: origin }));
+
+  const feed = {
+    title,
+    description,
+    link,
+    feedUrl: `${origin}${req.originalUrl.split('?')[0]}`,
+    updated: lastModified,
+  };
+
+  res.send(build(feed, items));
+};
+
+// @desc    Site-wide feed of published posts
+// @route   GET /feed.xml, /atom.xml, /feed.json
+// @access  Public
+const getSiteFeed = (format) => async (req, res) => {
+  try {
+    await sendFeed(req, res, format, {
+      title: process.env.SITE_TITLE || 'MERN Blog',
+      description: 'Latest posts',
+      link: getSiteUrl(),
+    });
+  } catch (error) {
+    console.error('Get site feed error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Feed of published posts in a category
+// @route   GET /api/categories/:id/feed.xml, /atom.xml, /feed.json
+// @access  Public
+const getCategoryFeed = (format) => async (req, res) => {
+  try {
+    const category = await findByIdOrField(Category, req.params.id, 'slug');
+
+    if (!category || !category.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Category not found',
+      });
+    }
+
+    await sendFeed(req, res, format, {
+      filter: { category: category._id },
+      title: `${process.env.SITE_TITLE || 'MERN Blog'}: ${category.name}`,
+      description: category.description || `Latest posts in ${category.name}`,
+      link: absoluteUrl(category.url),
+    });
+  } catch (error) {
+    console.error('Get category feed error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Feed of published posts by an author
+// @route   GET /api/authors/:id/feed.xml, /atom.xml, /feed.json
+// @access  Public
+const getAuthorFeed = (format) => async (req, res) => {
+  try {
+    const author = await findByIdOrField(User, req.params.id, 'username');
+
+    if (!author || !author.isActive) {
+      return res.status(404).json({
+        success: false,
+        error: 'Author not found',
+      });
+    }
+
+    await sendFeed(req, res, format, {
+      filter: { author: author._id },
+      title: `${process.env.SITE_TITLE || 'MERN Blog'}: ${authorName(author)}`,
+      description: author.bio || `Latest posts by ${authorName(author)}`,
+      link: getSiteUrl(),
+    });
+  } catch (error) {
+    console.error('Get author feed error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+module.exports = {
+  getSiteFeed,
+  getCategoryFeed,
+  getAuthorFeed,
+};
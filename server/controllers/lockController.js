@@ -0,0 +1,155 @@
+// lockController.js - Edit lock controller for posts
+
+const Post = require('../models/Post');
+const PostLock = require('../models/PostLock');
+
+// Seconds a lock lasts without a heartbeat; read on use so a value from .env is honoured
+const getLockTtlSeconds = () => parseInt(process.env.EDIT_LOCK_TTL_SECONDS) || 120;
+
+// 423 response naming whoever holds the lock
+const sendLocked = (res, lock) =>
+  res.status(423).json({
+    success: false,
+    error: 'Post is being edited by someone else',
+    lock,
+  });
+
+// Load a post and make sure the current user may edit it
+const findEditablePost = async (req, res) => {
+  const post = await Post.findById(req.params.id).select('author');
+
+  if (!post) {
+    res.status(404).json({
+      success: false,
+      error: 'Post not found',
+    });
+    return null;
+  }
+
+  // Check if user is author or admin
+  if (post.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      error: 'Not authorized to edit this post',
+    });
+    return null;
+  }
+
+  return post;
+};
+
+// @desc    Get the current edit lock of a post
+// @route   GET /api/posts/:id/lock
+// @access  Private
+const getLock = async (req, res) => {
+  try {
+    const post = await findEditablePost(req, res);
+    if (!post) return;
+
+    const lock = await PostLock.findActive(post._id);
+
+    res.json({
+      success: true,
+      data: lock,
+    });
+  } catch (error) {
+    console.error('Get lock error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Acquire the edit lock of a post (admins may pass force to take it over)
+// @route   POST /api/posts/:id/lock
+// @access  Private (Author or Admin)
+const acquireLock = async (req, res) => {
+  try {
+    const post = await findEditablePost(req, res);
+    if (!post) return;
+
+    const force =
+      req.user.role === 'admin' && (req.body.force === true || req.body.force === 'true');
+    const lock = await PostLock.acquire(post._id, req.user._id, getLockTtlSeconds(), force);
+
+    if (!lock) {
+      return sendLocked(res, await PostLock.findActive(post._id));
+    }
+
+    res.json({
+      success: true,
+      data: lock,
+    });
+  } catch (error) {
+    console.error('Acquire lock error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Renew an edit lock the user holds (heartbeat)
+// @route   PUT /api/posts/:id/lock
+// @access  Private (Lock holder)
+const renewLock = async (req, res) => {
+  try {
+    const lock = await PostLock.renew(req.params.id, req.user._id, getLockTtlSeconds());
+
+    if (!lock) {
+      const current = await PostLock.findActive(req.params.id);
+      if (current) {
+        return sendLocked(res, current);
+      }
+
+      return res.status(409).json({
+        success: false,
+        error: 'Lock has expired; acquire it again',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: lock,
+    });
+  } catch (error) {
+    console.error('Renew lock error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Release an edit lock
+// @route   DELETE /api/posts/:id/lock
+// @access  Private (Lock holder or Admin)
+const releaseLock = async (req, res) => {
+  try {
+    const filter = { post: req.params.id };
+    if (req.user.role !== 'admin') {
+      filter.user = req.user._id;
+    }
+
+    const result = await PostLock.deleteOne(filter);
+
+    res.json({
+      success: true,
+      data: { released: result.deletedCount > 0 },
+    });
+  } catch (error) {
+    console.error('Release lock error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+module.exports = {
+  getLock,
+  acquireLock,
+  renewLock,
+  releaseLock,
+};
@@ -0,0 +1,110 @@
+// moderationController.js - Comment moderation queue controller
+
+const Comment = require('../models/Comment');
+
+const MODERATION_STATUSES = ['pending', 'approved', 'spam', 'rejected'];
+
+// @desc    Get comments awaiting moderation
+// @route   GET /api/moderation/comments
+// @access  Private (Moderator or Admin)
+const getModerationQueue = async (req, res) => {
+  try {
+    const status = MODERATION_STATUSES.includes(req.query.status)
+      ? req.query.status
+      : 'pending';
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const comments = await Comment.find({ status })
+      .populate('author', 'username firstName lastName avatar createdAt')
+      .populate('post', 'title slug')
+      .sort({ createdAt: 1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-__v');
+
+    const total = await Comment.countDocuments({ status });
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: comments.map((comment) => ({
+        ...comment.toJSON(),
+        spamScore: comment.spamScore,
+        spamReasons: comment.spamReasons,
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalComments: total,
+        commentsPerPage: limit,
+      },
+    });
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// Build a handler that moves a comment to the given status
+const moderateComment = (status) => async (req, res) => {
+  try {
+    const comment = await Comment.findById(req.params.id);
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found',
+      });
+    }
+
+    const wasVisible = comment.status === 'approved' && !comment.isRemoved;
+
+    comment.status = status;
+    comment.moderatedBy = req.user._id;
+    comment.moderatedAt = new Date();
+    await comment.save();
+
+    const isVisible = comment.status === 'approved' && !comment.isRemoved;
+    if (wasVisible !== isVisible) {
+      await Comment.adjustCounts(comment, isVisible ? 1 : -1);
+    }
+
+    res.json({
+      success: true,
+      data: comment,
+    });
+  } catch (error) {
+    console.error(`Moderate comment (${status}) error:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Approve a comment
+// @route   POST /api/moderation/comments/:id/approve
+// @access  Private (Moderator or Admin)
+const approveComment = moderateComment('approved');
+
+// @desc    Reject a comment
+// @route   POST /api/moderation/comments/:id/reject
+// @access  Private (Moderator or Admin)
+const rejectComment = moderateComment('rejected');
+
+// @desc    Mark a comment as spam
+// @route   POST /api/moderation/comments/:id/spam
+// @access  Private (Moderator or Admin)
+const markCommentAsSpam = moderateComment('spam');
+
+module.exports = {
+  getModerationQueue,
+  approveComment,
+  rejectComment,
+  markCommentAsSpam,
+};
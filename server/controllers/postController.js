@@ -1,8 +1,95 @@
 // postController.js - Post controller with CRUD operations
 
+const mongoose = require('mongoose');
 const Post = require('../models/Post');
 const Category = require('../models/Category');
 const User = require('../models/User');
+const Reaction = require('../models/Reaction');
+const PostLock = require('../models/PostLock');
+const Series = require('../models/Series');
+const {
+  parseSearchQuery,
+  hasSearchTerms,
+  buildTextSearch,
+  buildHighlights,
+} = require('../utils/search');
+const {
+  buildPostFilters,
+  combineFilters,
+  getPostFacets,
+} = require('../utils/postFilters');
+const { titleTerms, scoreRelatedPost } = require('../utils/related');
+const { recordView } = require('../utils/viewTracker');
+const { TRENDING_WINDOWS, CACHE_SIZE, getTrending } = require('../utils/trending');
+const {
+  getPurgeDate,
+  releaseTrashedPost,
+  reinstateRestoredPost,
+} = require('../utils/purgePost');
+const { normalizeTags } = require('../utils/tags');
+const { saveWithUniqueSlug } = require('../utils/slugs');
+const { versionTag, parseIfMatch } = require('../utils/postVersion');
+
+// Reply 409 with the current post so the client can merge or overwrite
+const sendVersionConflict = async (res, id) => {
+  const current = await Post.findById(id)
+    .populate('author', 'username firstName lastName avatar')
+    .populate('category', 'name color icon');
+
+  // Moved to the trash or purged since it was loaded
+  if (!current) {
+    return res.status(404).json({
+      success: false,
+      error: 'Post not found',
+    });
+  }
+
+  res.set('ETag', versionTag(current));
+  return res.status(409).json({
+    success: false,
+    error: 'Post was changed by someone else',
+    currentVersion: current.version,
+    data: current,
+  });
+};
+
+// Changes applied to each post by POST /api/posts/bulk
+const BULK_ACTIONS = {
+  publish: (post) => {
+    post.isPublished = true;
+  },
+  unpublish: (post) => {
+    post.isPublished = false;
+  },
+  move: (post, { category }) => {
+    post.category = category;
+  },
+  addTags: (post, { tags }) => {
+    post.tags = normalizeTags([...post.tags, ...tags]);
+  },
+  removeTags: (post, { tags }) => {
+    const remove = normalizeTags(tags);
+    post.tags = post.tags.filter((tag) => !remove.includes(tag));
+  },
+  delete: (post, options, user) => {
+    post.deletedAt = new Date();
+    post.deletedBy = user._id;
+  },
+};
+
+// Serialize posts, flagging which reactions the current user has given
+const withViewerReactions = async (posts, user) => {
+  const data = posts.map((post) => (post.toJSON ? post.toJSON() : post));
+  const reactions = await Reaction.findUserReactions(
+    user && user._id,
+    data.map((post) => post._id)
+  );
+
+  return data.map((post) => ({
+    ...post,
+    viewerReactions: reactions.get(post._id.toString()) || [],
+  }));
+};
 
 // @desc    Get all posts with pagination and filters
 // @route   GET /api/posts
@@ -11,46 +98,62 @@ const getAllPosts = async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    const category = req.query.category;
-    const author = req.query.author;
-    const search = req.query.search;
-    const sortBy = req.query.sortBy || 'createdAt';
+    const search =
+      req.query.search && String(req.query.search).trim()
+        ? parseSearchQuery(req.query.search)
+        : null;
+
+    // Exclusions alone can't drive a text search, and ignoring them would return every post
+    if (search && !hasSearchTerms(search)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Search query must include at least one word or phrase',
+      });
+    }
+
+    const sortBy = req.query.sortBy || (search ? 'relevance' : 'publishedAt');
     const sortOrder = req.query.sortOrder === 'asc' ? 1 : -1;
 
     // Build query
-    let query = { isPublished: true };
+    const baseQuery = Post.publicFilter();
 
-    if (category) {
-      query.category = category;
+    if (search) {
+      baseQuery.$text = { $search: buildTextSearch(search) };
     }
 
-    if (author) {
-      query.author = author;
-    }
+    // Tags, categories, authors, date range and minimum views
+    const filters = buildPostFilters(req.query);
+    const query = combineFilters(baseQuery, filters);
 
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { content: { $regex: search, $options: 'i' } },
-        { excerpt: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } },
-      ];
-    }
+    // Sort by text score when searching by relevance
+    const useRelevance = sortBy === 'relevance' && query.$text;
+    const projection = useRelevance ? { score: { $meta: 'textScore' } } : {};
+    const sort = useRelevance
+      ? { score: { $meta: 'textScore' }, publishedAt: -1 }
+      : { [sortBy === 'relevance' ? 'publishedAt' : sortBy]: sortOrder };
 
     // Calculate skip value
     const skip = (page - 1) * limit;
 
     // Execute query with population
-    const posts = await Post.find(query)
+    let posts = await Post.find(query, projection)
       .populate('author', 'username firstName lastName avatar')
       .populate('category', 'name color icon')
-      .sort({ [sortBy]: sortOrder })
+      .sort(sort)
       .skip(skip)
       .limit(limit)
       .select('-__v');
 
-    // Get total count for pagination
+    if (query.$text) {
+      posts = posts.map((post) => ({
+        ...post.toJSON(),
+        highlights: buildHighlights(post, search),
+      }));
+    }
+
+    // Get total count for pagination and facet counts for the filter sidebar
     const total = await Post.countDocuments(query);
+    const facets = await getPostFacets(baseQuery, filters);
 
     // Calculate pagination info
     const totalPages = Math.ceil(total / limit);
@@ -59,7 +162,7 @@ const getAllPosts = async (req, res) => {
 
     res.json({
       success: true,
-      data: posts,
+      data: await withViewerReactions(posts, req.user),
       pagination: {
         currentPage: page,
         totalPages,
@@ -68,6 +171,7 @@ const getAllPosts = async (req, res) => {
         hasNextPage,
         hasPrevPage,
       },
+      facets,
     });
   } catch (error) {
     console.error('Get all posts error:', error);
@@ -78,12 +182,23 @@ const getAllPosts = async (req, res) => {
   }
 };
 
+// Representations of the post body GET /api/posts/:id can return alone
+const POST_BODY_FORMATS = ['html', 'markdown'];
+
 // @desc    Get single post by ID or slug
 // @route   GET /api/posts/:id
 // @access  Public
 const getPost = async (req, res) => {
   try {
     const { id } = req.params;
+    const { format } = req.query;
+
+    if (format && !POST_BODY_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Format must be one of: ${POST_BODY_FORMATS.join(', ')}`,
+      });
+    }
 
     // Check if id is ObjectId or slug
     const isObjectId = /^[0-9a-fA-F]{24}$/.test(id);
@@ -97,9 +212,18 @@ const getPost = async (req, res) => {
 
     const post = await Post.findOne(query)
       .populate('author', 'username firstName lastName avatar bio')
-      .populate('category', 'name color icon description')
-      .populate('comments.user', 'username firstName lastName avatar')
-      .select('-__v');
+      .populate('category', 'name color icon description');
+
+    // A renamed post keeps its old slugs; send readers to the current one
+    if (!post && !isObjectId) {
+      const renamed = await Post.findOne({ slugHistory: id }).select('slug');
+      if (renamed) {
+        const search = req.originalUrl.includes('?')
+          ? req.originalUrl.slice(req.originalUrl.indexOf('?'))
+          : '';
+        return res.redirect(301, `${req.baseUrl}/${renamed.slug}${search}`);
+      }
+    }
 
     if (!post) {
       return res.status(404).json({
@@ -108,14 +232,23 @@ const getPost = async (req, res) => {
       });
     }
 
-    // Increment view count if post is published
-    if (post.isPublished) {
-      await post.incrementViewCount();
+    // Count the view once per visitor if the post is public
+    if (post.status === 'published' && (await recordView(post, req))) {
+      post.viewCount += 1;
     }
 
+    const [data] = await withViewerReactions([post], req.user);
+    data.series = await Series.navigationFor(post);
+
+    // Only send the requested representation of the body
+    if (format === 'html') delete data.content;
+    if (format === 'markdown') delete data.contentHtml;
+
+    // The ETag carries the edit version; responses also count views, so never cache them
+    res.set({ ETag: versionTag(post), 'Cache-Control': 'no-store' });
     res.json({
       success: true,
-      data: post,
+      data,
     });
   } catch (error) {
     console.error('Get post error:', error);
@@ -126,6 +259,137 @@ const getPost = async (req, res) => {
   }
 };
 
+// @desc    Get trending posts
+// @route   GET /api/posts/trending
+// @access  Public
+const getTrendingPosts = async (req, res) => {
+  try {
+    const window = req.query.window || 'week';
+    const limit = Math.min(parseInt(req.query.limit) || 10, CACHE_SIZE);
+
+    if (!TRENDING_WINDOWS[window]) {
+      return res.status(400).json({
+        success: false,
+        error: `Window must be one of: ${Object.keys(TRENDING_WINDOWS).join(', ')}`,
+      });
+    }
+
+    const trending = await getTrending(window);
+    const ranked = trending.posts.slice(0, limit);
+
+    const posts = await Post.find(Post.publicFilter({ _id: { $in: ranked.map((r) => r.post) } }))
+      .populate('author', 'username firstName lastName avatar')
+      .populate('category', 'name color icon')
+      .select('-__v');
+
+    const byId = new Map(posts.map((post) => [post._id.toString(), post]));
+    const ordered = ranked.filter((r) => byId.has(r.post.toString()));
+    const data = await withViewerReactions(
+      ordered.map((r) => byId.get(r.post.toString())),
+      req.user
+    );
+
+    res.json({
+      success: true,
+      data: data.map((post, index) => ({
+        ...post,
+        trendingScore: ordered[index].score,
+        rank: index + 1,
+      })),
+      window,
+      computedAt: trending.computedAt,
+    });
+  } catch (error) {
+    console.error('Get trending posts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Get posts related to a post
+// @route   GET /api/posts/:id/related
+// @access  Public
+const getRelatedPosts = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const limit = Math.min(parseInt(req.query.limit) || 5, 20);
+
+    // Check if id is ObjectId or slug
+    const isObjectId = /^[0-9a-fA-F]{24}$/.test(id);
+    const post = await Post.findOne(isObjectId ? { _id: id } : { slug: id }).select(
+      'title tags category'
+    );
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found',
+      });
+    }
+
+    const populate = (query) =>
+      query
+        .populate('author', 'username firstName lastName avatar')
+        .populate('category', 'name color icon')
+        .select('-__v');
+
+    // Candidates sharing a tag or the category
+    const candidates = await populate(
+      Post.find(
+        Post.publicFilter({
+          _id: { $ne: post._id },
+          $or: [{ tags: { $in: post.tags } }, { category: post.category }],
+        })
+      )
+        .sort({ publishedAt: -1 })
+        .limit(100)
+    );
+
+    // Plus candidates whose text matches the title's terms
+    const terms = titleTerms(post.title);
+    if (terms.length > 0) {
+      const seen = new Set(candidates.map((candidate) => candidate._id.toString()));
+      const textMatches = await populate(
+        Post.find(
+          Post.publicFilter({
+            _id: { $ne: post._id },
+            $text: { $search: terms.join(' ') },
+          }),
+          { score: { $meta: 'textScore' } }
+        )
+          .sort({ score: { $meta: 'textScore' } })
+          .limit(50)
+      );
+
+      textMatches.forEach((candidate) => {
+        if (!seen.has(candidate._id.toString())) {
+          candidates.push(candidate);
+        }
+      });
+    }
+
+    const related = candidates
+      .map((candidate) => ({ candidate, score: scoreRelatedPost(post, candidate) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score || b.candidate.publishedAt - a.candidate.publishedAt)
+      .slice(0, limit)
+      .map(({ candidate }) => candidate);
+
+    res.json({
+      success: true,
+      data: related,
+    });
+  } catch (error) {
+    console.error('Get related posts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
 // @desc    Create new post
 // @route   POST /api/posts
 // @access  Private
@@ -137,22 +401,27 @@ const createPost = async (req, res) => {
       excerpt,
       category,
       tags,
+      slug,
       isPublished = false,
+      publishAt,
     } = req.body;
 
     // Handle featured image
     const featuredImage = req.file ? req.file.filename : 'default-post.jpg';
 
-    const post = await Post.create({
+    const post = await saveWithUniqueSlug(new Post({
       title,
       content,
       excerpt,
       category,
       tags: tags || [],
+      slug: slug || undefined,
+      customSlug: Boolean(slug),
       isPublished,
+      publishAt: publishAt || undefined,
       featuredImage,
       author: req.user._id,
-    });
+    }));
 
     const populatedPost = await Post.findById(post._id)
       .populate('author', 'username firstName lastName avatar')
@@ -183,7 +452,9 @@ const updatePost = async (req, res) => {
       excerpt,
       category,
       tags,
+      slug,
       isPublished,
+      publishAt,
     } = req.body;
 
     const post = await Post.findById(id);
@@ -203,25 +474,72 @@ const updatePost = async (req, res) => {
       });
     }
 
+    // Someone else is editing the post
+    const lock = await PostLock.findHeldByOther(post._id, req.user._id);
+    if (lock) {
+      return res.status(423).json({
+        success: false,
+        error: 'Post is being edited by someone else',
+        lock,
+      });
+    }
+
+    // Require the version the client edited so concurrent saves can't overwrite each other
+    const expectedVersion = parseIfMatch(req.get('If-Match'));
+    if (expectedVersion === null) {
+      return res.status(428).json({
+        success: false,
+        error: 'If-Match header with the post version is required',
+      });
+    }
+
+    if (expectedVersion === undefined) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid If-Match header',
+      });
+    }
+
+    if (expectedVersion !== '*' && expectedVersion !== post.__v) {
+      return await sendVersionConflict(res, post._id);
+    }
+
     // Update fields
     if (title) post.title = title;
     if (content) post.content = content;
     if (excerpt !== undefined) post.excerpt = excerpt;
     if (category) post.category = category;
     if (tags) post.tags = tags;
+    if (slug !== undefined) {
+      // An empty slug goes back to following the title
+      post.customSlug = Boolean(slug);
+      if (slug) post.slug = slug;
+    }
     if (isPublished !== undefined) post.isPublished = isPublished;
+    if (publishAt !== undefined) post.publishAt = publishAt || null;
+    post.$locals.editedBy = req.user._id;
 
     // Handle featured image update
     if (req.file) {
       post.featuredImage = req.file.filename;
     }
 
-    const updatedPost = await post.save();
+    let updatedPost;
+    try {
+      updatedPost = await saveWithUniqueSlug(post);
+    } catch (error) {
+      // Another save landed between loading the post and saving it
+      if (error instanceof mongoose.Error.VersionError) {
+        return await sendVersionConflict(res, post._id);
+      }
+      throw error;
+    }
 
     const populatedPost = await Post.findById(updatedPost._id)
       .populate('author', 'username firstName lastName avatar')
       .populate('category', 'name color icon');
 
+    res.set('ETag', versionTag(populatedPost));
     res.json({
       success: true,
       data: populatedPost,
@@ -259,53 +577,29 @@ const deletePost = async (req, res) => {
       });
     }
 
-    await Post.findByIdAndDelete(id);
-
-    res.json({
-      success: true,
-      message: 'Post deleted successfully',
-    });
-  } catch (error) {
-    console.error('Delete post error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Server error',
-    });
-  }
-};
-
-// @desc    Add comment to post
-// @route   POST /api/posts/:id/comments
-// @access  Private
-const addComment = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { content } = req.body;
-
-    const post = await Post.findById(id);
-
-    if (!post) {
-      return res.status(404).json({
+    // Don't trash a post out from under someone who is editing it
+    const lock = await PostLock.findHeldByOther(post._id, req.user._id);
+    if (lock) {
+      return res.status(423).json({
         success: false,
-        error: 'Post not found',
+        error: 'Post is being edited by someone else',
+        lock,
       });
     }
 
-    // Add comment
-    await post.addComment(req.user._id, content);
-
-    // Get updated post with populated comments
-    const updatedPost = await Post.findById(id)
-      .populate('comments.user', 'username firstName lastName avatar')
-      .populate('author', 'username firstName lastName avatar')
-      .populate('category', 'name color icon');
+    // Move to the trash; the post is purged after the retention period
+    await Post.updateOne(
+      { _id: post._id },
+      { $set: { deletedAt: new Date(), deletedBy: req.user._id } }
+    );
+    await releaseTrashedPost(post);
 
     res.json({
       success: true,
-      data: updatedPost,
+      message: 'Post moved to trash',
     });
   } catch (error) {
-    console.error('Add comment error:', error);
+    console.error('Delete post error:', error);
     res.status(500).json({
       success: false,
       error: 'Server error',
@@ -329,36 +623,41 @@ const searchPosts = async (req, res) => {
       });
     }
 
-    const searchQuery = {
-      $and: [
-        { isPublished: true },
-        {
-          $or: [
-            { title: { $regex: query, $options: 'i' } },
-            { content: { $regex: query, $options: 'i' } },
-            { excerpt: { $regex: query, $options: 'i' } },
-            { tags: { $in: [new RegExp(query, 'i')] } },
-          ],
-        },
-      ],
-    };
+    const parsed = parseSearchQuery(query);
+
+    if (!hasSearchTerms(parsed)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Search query must include at least one word or phrase',
+      });
+    }
+
+    const baseQuery = Post.publicFilter({
+      $text: { $search: buildTextSearch(parsed) },
+    });
+    const filters = buildPostFilters(req.query);
+    const searchQuery = combineFilters(baseQuery, filters);
 
     const skip = (page - 1) * limit;
 
-    const posts = await Post.find(searchQuery)
+    const posts = await Post.find(searchQuery, { score: { $meta: 'textScore' } })
       .populate('author', 'username firstName lastName avatar')
       .populate('category', 'name color icon')
-      .sort({ createdAt: -1 })
+      .sort({ score: { $meta: 'textScore' }, publishedAt: -1 })
       .skip(skip)
       .limit(limit)
       .select('-__v');
 
     const total = await Post.countDocuments(searchQuery);
     const totalPages = Math.ceil(total / limit);
+    const facets = await getPostFacets(baseQuery, filters);
 
     res.json({
       success: true,
-      data: posts,
+      data: posts.map((post) => ({
+        ...post.toJSON(),
+        highlights: buildHighlights(post, parsed),
+      })),
       pagination: {
         currentPage: page,
         totalPages,
@@ -366,6 +665,7 @@ const searchPosts = async (req, res) => {
         postsPerPage: limit,
         query,
       },
+      facets,
     });
   } catch (error) {
     console.error('Search posts error:', error);
@@ -414,13 +714,195 @@ const getMyPosts = async (req, res) => {
   }
 };
 
+// @desc    Apply an action to many posts at once
+// @route   POST /api/posts/bulk
+// @access  Private (each post: Author or Admin)
+const bulkUpdatePosts = async (req, res) => {
+  try {
+    const { action, category, tags } = req.body;
+    const ids = [...new Set(req.body.ids)];
+
+    if (action === 'move') {
+      const categoryExists = await Category.exists({ _id: category });
+      if (!categoryExists) {
+        return res.status(400).json({
+          success: false,
+          error: 'Category not found',
+        });
+      }
+    }
+
+    const posts = await Post.find({ _id: { $in: ids } });
+    const postsById = new Map(posts.map((post) => [post._id.toString(), post]));
+    const results = [];
+
+    // Apply one post at a time so a failure only affects that post
+    for (const id of ids) {
+      const post = postsById.get(id);
+
+      if (!post) {
+        results.push({ id, success: false, error: 'Post not found' });
+        continue;
+      }
+
+      // Check if user is author or admin
+      if (post.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+        results.push({ id, success: false, error: 'Not authorized to update this post' });
+        continue;
+      }
+
+      // Someone else is editing the post; report the holder like the single-post 423 does
+      const lock = await PostLock.findHeldByOther(post._id, req.user._id);
+      if (lock) {
+        results.push({ id, success: false, error: 'Post is being edited by someone else', lock });
+        continue;
+      }
+
+      try {
+        BULK_ACTIONS[action](post, { category, tags }, req.user);
+
+        const changed = post.isModified();
+        if (changed) {
+          post.$locals.editedBy = req.user._id;
+          await post.save();
+        }
+        if (action === 'delete') {
+          await releaseTrashedPost(post);
+        }
+
+        results.push({ id, success: true, changed });
+      } catch (error) {
+        results.push({ id, success: false, error: error.message });
+      }
+    }
+
+    const succeeded = results.filter((result) => result.success).length;
+
+    res.json({
+      success: true,
+      data: {
+        action,
+        results,
+        succeeded,
+        failed: results.length - succeeded,
+      },
+    });
+  } catch (error) {
+    console.error('Bulk update posts error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Get trashed posts
+// @route   GET /api/posts/trash
+// @access  Private (Owner, or Admin for all posts)
+const getTrash = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = { deletedAt: { $ne: null } };
+    if (req.user.role !== 'admin') {
+      query.author = req.user._id;
+    }
+
+    const posts = await Post.find(query)
+      .populate('author', 'username firstName lastName avatar')
+      .populate('deletedBy', 'username firstName lastName')
+      .populate('category', 'name color icon')
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-__v');
+
+    const total = await Post.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: posts.map((post) => ({
+        ...post.toJSON(),
+        purgeAt: getPurgeDate(post.deletedAt),
+      })),
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalPosts: total,
+        postsPerPage: limit,
+      },
+    });
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Restore a post from the trash
+// @route   POST /api/posts/:id/restore
+// @access  Private
+const restorePost = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const post = await Post.findOne({ _id: id, deletedAt: { $ne: null } });
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found in trash',
+      });
+    }
+
+    // Check if user is author or admin
+    if (post.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to restore this post',
+      });
+    }
+
+    await Post.updateOne(
+      { _id: post._id },
+      { $set: { deletedAt: null }, $unset: { deletedBy: 1, trashedFrom: 1 } }
+    );
+    await reinstateRestoredPost(post);
+
+    const populatedPost = await Post.findById(post._id)
+      .populate('author', 'username firstName lastName avatar')
+      .populate('category', 'name color icon');
+
+    res.json({
+      success: true,
+      data: populatedPost,
+      message: 'Post restored',
+    });
+  } catch (error) {
+    console.error('Restore post error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
 module.exports = {
   getAllPosts,
   getPost,
+  getTrendingPosts,
+  getRelatedPosts,
   createPost,
   updatePost,
   deletePost,
-  addComment,
   searchPosts,
   getMyPosts,
+  bulkUpdatePosts,
+  getTrash,
+  restorePost,
 }; 
\ No newline at end of file
@@ -0,0 +1,87 @@
+// reactionController.js - Reactions on posts and comments
+
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Reaction = require('../models/Reaction');
+const reactionConfig = require('../config/reactions');
+
+// Reaction type from the body or, for DELETE, the query string
+const getReactionType = (req) => (req.body && req.body.type) || req.query.type || 'like';
+
+// Find the post or comment being reacted to
+const findTarget = (req) => {
+  const { id, commentId } = req.params;
+  return commentId
+    ? Comment.findOne({ _id: commentId, post: id, status: 'approved', isRemoved: false })
+    : Post.findById(id);
+};
+
+// Build a handler that adds or removes a reaction on a post or comment
+const changeReaction = (action) => async (req, res) => {
+  try {
+    const type = getReactionType(req);
+    const reactionTypes = reactionConfig.getReactionTypes();
+
+    if (!reactionTypes.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: `Reaction must be one of: ${reactionTypes.join(', ')}`,
+      });
+    }
+
+    const target = await findTarget(req);
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        error: req.params.commentId ? 'Comment not found' : 'Post not found',
+      });
+    }
+
+    const Model = target.constructor;
+    await Reaction[action](Model, target._id, req.user._id, type);
+
+    const updated = await Model.findById(target._id).select('reactionCounts');
+    const viewerReactions = await Reaction.findUserReactions(req.user._id, [target._id]);
+
+    res.json({
+      success: true,
+      data: {
+        reactionCounts: updated.reactionCounts,
+        viewerReactions: viewerReactions.get(target._id.toString()) || [],
+      },
+    });
+  } catch (error) {
+    console.error(`${action === 'add' ? 'Add' : 'Remove'} reaction error:`, error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    React to a post or comment
+// @route   POST /api/posts/:id/reactions, POST /api/posts/:id/comments/:commentId/reactions
+// @access  Private
+const addReaction = changeReaction('add');
+
+// @desc    Remove a reaction from a post or comment
+// @route   DELETE /api/posts/:id/reactions, DELETE /api/posts/:id/comments/:commentId/reactions
+// @access  Private
+const removeReaction = changeReaction('remove');
+
+// @desc    Get the available reaction types
+// @route   GET /api/posts/reactions/types
+// @access  Public
+const getReactionTypes = (req, res) => {
+  res.json({
+    success: true,
+    data: reactionConfig.getReactionTypes(),
+  });
+};
+
+module.exports = {
+  addReaction,
+  removeReaction,
+  getReactionTypes,
+};
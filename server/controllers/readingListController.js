@@ -0,0 +1,301 @@
+// readingListController.js - Reading list controller
+
+const Post = require('../models/Post');
+const ReadingList = require('../models/ReadingList');
+
+// Populate a list's posts, leaving out any that are no longer public
+const populatePosts = (query) =>
+  query.populate({
+    path: 'posts',
+    match: Post.publicFilter(),
+    select: '-__v',
+    populate: [
+      { path: 'author', select: 'username firstName lastName avatar' },
+      { path: 'category', select: 'name color icon' },
+    ],
+  });
+
+// Load a reading list owned by the current user
+const findOwnList = async (req, res) => {
+  const list = await ReadingList.findById(req.params.id);
+
+  if (!list) {
+    res.status(404).json({
+      success: false,
+      error: 'Reading list not found',
+    });
+    return null;
+  }
+
+  if (list.owner.toString() !== req.user._id.toString()) {
+    res.status(403).json({
+      success: false,
+      error: 'Not authorized to access this reading list',
+    });
+    return null;
+  }
+
+  return list;
+};
+
+// @desc    Get current user's reading lists
+// @route   GET /api/reading-lists
+// @access  Private
+const getMyReadingLists = async (req, res) => {
+  try {
+    const lists = await ReadingList.find({ owner: req.user._id })
+      .sort({ updatedAt: -1 })
+      .select('-__v');
+
+    res.json({
+      success: true,
+      data: lists,
+    });
+  } catch (error) {
+    console.error('Get my reading lists error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Get a reading list with its posts
+// @route   GET /api/reading-lists/:id
+// @access  Private (Owner)
+const getReadingList = async (req, res) => {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+
+    await populatePosts(list);
+
+    res.json({
+      success: true,
+      data: list,
+    });
+  } catch (error) {
+    console.error('Get reading list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Get a publicly shared reading list
+// @route   GET /api/reading-lists/shared/:token
+// @access  Public
+const getSharedReadingList = async (req, res) => {
+  try {
+    const list = await populatePosts(
+      ReadingList.findOne({ shareToken: req.params.token, isPublic: true })
+        .populate('owner', 'username firstName lastName avatar')
+        .select('-__v')
+    );
+
+    if (!list) {
+      return res.status(404).json({
+        success: false,
+        error: 'Reading list not found',
+      });
+    }
+
+    res.json({
+      success: true,
+      data: list,
+    });
+  } catch (error) {
+    console.error('Get shared reading list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Create a reading list
+// @route   POST /api/reading-lists
+// @access  Private
+const createReadingList = async (req, res) => {
+  try {
+    const { name, description, isPublic = false } = req.body;
+
+    const list = await ReadingList.create({
+      owner: req.user._id,
+      name,
+      description,
+      isPublic,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: list,
+    });
+  } catch (error) {
+    console.error('Create reading list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Update a reading list's name, description or sharing
+// @route   PUT /api/reading-lists/:id
+// @access  Private (Owner)
+const updateReadingList = async (req, res) => {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+
+    const { name, description, isPublic } = req.body;
+
+    if (name) list.name = name;
+    if (description !== undefined) list.description = description;
+    if (isPublic !== undefined) list.isPublic = isPublic;
+
+    await list.save();
+
+    res.json({
+      success: true,
+      data: list,
+    });
+  } catch (error) {
+    console.error('Update reading list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Delete a reading list
+// @route   DELETE /api/reading-lists/:id
+// @access  Private (Owner)
+const deleteReadingList = async (req, res) => {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+
+    await ReadingList.findByIdAndDelete(list._id);
+
+    res.json({
+      success: true,
+      message: 'Reading list deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete reading list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Add a post to a reading list
+// @route   POST /api/reading-lists/:id/posts
+// @access  Private (Owner)
+const addPostToReadingList = async (req, res) => {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+
+    const post = await Post.findOne(Post.publicFilter({ _id: req.body.postId })).select('_id');
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found',
+      });
+    }
+
+    if (!list.posts.some((postId) => postId.equals(post._id))) {
+      list.posts.push(post._id);
+      await list.save();
+    }
+
+    res.json({
+      success: true,
+      data: list,
+    });
+  } catch (error) {
+    console.error('Add post to reading list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Remove a post from a reading list
+// @route   DELETE /api/reading-lists/:id/posts/:postId
+// @access  Private (Owner)
+const removePostFromReadingList = async (req, res) => {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+
+    list.posts = list.posts.filter((postId) => postId.toString() !== req.params.postId);
+    await list.save();
+
+    res.json({
+      success: true,
+      data: list,
+    });
+  } catch (error) {
+    console.error('Remove post from reading list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Reorder the posts of a reading list
+// @route   PUT /api/reading-lists/:id/posts/order
+// @access  Private (Owner)
+const reorderReadingList = async (req, res) => {
+  try {
+    const list = await findOwnList(req, res);
+    if (!list) return;
+
+    const { postIds } = req.body;
+    const current = list.posts.map((postId) => postId.toString()).sort();
+    const requested = [...postIds].sort();
+
+    // The new order must contain exactly the posts already in the list
+    if (current.join() !== requested.join()) {
+      return res.status(400).json({
+        success: false,
+        error: 'postIds must list every post in the reading list exactly once',
+      });
+    }
+
+    list.posts = postIds;
+    await list.save();
+
+    res.json({
+      success: true,
+      data: list,
+    });
+  } catch (error) {
+    console.error('Reorder reading list error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+module.exports = {
+  getMyReadingLists,
+  getReadingList,
+  getSharedReadingList,
+  createReadingList,
+  updateReadingList,
+  deleteReadingList,
+  addPostToReadingList,
+  removePostFromReadingList,
+  reorderReadingList,
+};
@@ -0,0 +1,189 @@
+// revisionController.js - Post revision history controller
+
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const PostLock = require('../models/PostLock');
+const { diffLines, summarizeDiff } = require('../utils/diff');
+const { saveWithUniqueSlug } = require('../utils/slugs');
+
+// Load a post and make sure the current user may see its history
+const findPostForHistory = async (req, res) => {
+  const post = await Post.findById(req.params.id);
+
+  if (!post) {
+    res.status(404).json({
+      success: false,
+      error: 'Post not found',
+    });
+    return null;
+  }
+
+  // Check if user is author or admin
+  if (post.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+    res.status(403).json({
+      success: false,
+      error: 'Not authorized to view the history of this post',
+    });
+    return null;
+  }
+
+  return post;
+};
+
+// Load a single revision of a post
+const findRevision = async (post, req, res) => {
+  const rev = parseInt(req.params.rev);
+
+  const revision = Number.isNaN(rev)
+    ? null
+    : await PostRevision.findOne({ post: post._id, rev })
+        .populate('editedBy', 'username firstName lastName avatar')
+        .populate('category', 'name color icon');
+
+  if (!revision) {
+    res.status(404).json({
+      success: false,
+      error: 'Revision not found',
+    });
+    return null;
+  }
+
+  return revision;
+};
+
+// @desc    Get revision history of a post
+// @route   GET /api/posts/:id/revisions
+// @access  Private (Author or Admin)
+const getRevisions = async (req, res) => {
+  try {
+    const post = await findPostForHistory(req, res);
+    if (!post) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const revisions = await PostRevision.find({ post: post._id })
+      .populate('editedBy', 'username firstName lastName avatar')
+      .sort({ rev: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('rev title editedBy savedAt createdAt');
+
+    const total = await PostRevision.countDocuments({ post: post._id });
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: revisions,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalRevisions: total,
+        revisionsPerPage: limit,
+      },
+    });
+  } catch (error) {
+    console.error('Get revisions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Get line-level diff of a revision against the current post
+// @route   GET /api/posts/:id/revisions/:rev/diff
+// @access  Private (Author or Admin)
+const getRevisionDiff = async (req, res) => {
+  try {
+    const post = await findPostForHistory(req, res);
+    if (!post) return;
+
+    const revision = await findRevision(post, req, res);
+    if (!revision) return;
+
+    const diff = {
+      title: diffLines(revision.title, post.title),
+      excerpt: diffLines(revision.excerpt, post.excerpt),
+      content: diffLines(revision.content, post.content),
+      tags: diffLines(revision.tags.join('\n'), post.tags.join('\n')),
+    };
+
+    res.json({
+      success: true,
+      data: {
+        revision,
+        diff,
+        summary: {
+          title: summarizeDiff(diff.title),
+          excerpt: summarizeDiff(diff.excerpt),
+          content: summarizeDiff(diff.content),
+          tags: summarizeDiff(diff.tags),
+          categoryChanged: String(revision.category?._id) !== String(post.category),
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get revision diff error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Restore a post to a previous revision
+// @route   POST /api/posts/:id/revisions/:rev/restore
+// @access  Private (Author or Admin)
+const restoreRevision = async (req, res) => {
+  try {
+    const post = await findPostForHistory(req, res);
+    if (!post) return;
+
+    const revision = await findRevision(post, req, res);
+    if (!revision) return;
+
+    // Someone else is editing the post
+    const lock = await PostLock.findHeldByOther(post._id, req.user._id);
+    if (lock) {
+      return res.status(423).json({
+        success: false,
+        error: 'Post is being edited by someone else',
+        lock,
+      });
+    }
+
+    // Saving snapshots the current version, so a restore can itself be undone
+    post.title = revision.title;
+    post.content = revision.content;
+    post.excerpt = revision.excerpt;
+    post.tags = revision.tags;
+    if (revision.category) post.category = revision.category._id;
+    post.$locals.editedBy = req.user._id;
+
+    await saveWithUniqueSlug(post);
+
+    const populatedPost = await Post.findById(post._id)
+      .populate('author', 'username firstName lastName avatar')
+      .populate('category', 'name color icon');
+
+    res.json({
+      success: true,
+      data: populatedPost,
+      message: `Post restored to revision ${revision.rev}`,
+    });
+  } catch (error) {
+    console.error('Restore revision error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+module.exports = {
+  getRevisions,
+  getRevisionDiff,
+  restoreRevision,
+};
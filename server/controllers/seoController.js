@@ -0,0 +1,166 @@
+// seoController.js - Sitemap and robots.txt controller
+
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const { absoluteUrl, escapeXml } = require('../utils/feed');
+
+// Sitemaps may list at most 50,000 URLs each
+const MAX_SITEMAP_URLS = 50000;
+
+// Paths crawlers should stay out of
+const DISALLOWED_PATHS = ['/api', '/create-post', '/edit-post', '/my-posts'];
+
+// Render a <urlset> document
+const buildUrlSet = (urls) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls
+  .map(
+    ({ loc, lastmod }) =>
+      `  <url><loc>${escapeXml(loc)}</loc>${
+        lastmod ? `<lastmod>${new Date(lastmod).toISOString()}</lastmod>` : ''
+      }</url>`
+  )
+  .join('\n')}
+</urlset>
+`;
+
+// Render a <sitemapindex> document
+const buildSitemapIndex = (sitemaps) => `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${sitemaps
+  .map(
+    ({ loc, lastmod }) =>
+      `  <sitemap><loc>${escapeXml(loc)}</loc>${
+        lastmod ? `<lastmod>${new Date(lastmod).toISOString()}</lastmod>` : ''
+      }</sitemap>`
+  )
+  .join('\n')}
+</sitemapindex>
+`;
+
+// URLs for one page of published posts
+const getPostUrls = async (skip = 0, limit = MAX_SITEMAP_URLS) => {
+  const posts = await Post.find(Post.publicFilter())
+    .sort({ publishedAt: 1 })
+    .skip(skip)
+    .limit(limit)
+    .select('slug updatedAt');
+
+  return posts.map((post) => ({ loc: absoluteUrl(post.url), lastmod: post.updatedAt }));
+};
+
+// URLs for the home page and every active category
+const getCategoryUrls = async () => {
+  const categories = await Category.find({ isActive: true })
+    .sort({ name: 1 })
+    .select('slug updatedAt');
+
+  return [
+    { loc: absoluteUrl('/') },
+    ...categories.map((category) => ({
+      loc: absoluteUrl(category.url),
+      lastmod: category.updatedAt,
+    })),
+  ];
+};
+
+// @desc    XML sitemap, or a sitemap index once there are too many URLs
+// @route   GET /sitemap.xml
+// @access  Public
+const getSitemap = async (req, res) => {
+  try {
+    const postCount = await Post.countDocuments(Post.publicFilter());
+    const categoryUrls = await getCategoryUrls();
+
+    res.type('application/xml');
+
+    if (postCount + categoryUrls.length <= MAX_SITEMAP_URLS) {
+      const postUrls = await getPostUrls();
+      return res.send(buildUrlSet([...categoryUrls, ...postUrls]));
+    }
+
+    const latest = await Post.findOne(Post.publicFilter())
+      .sort({ updatedAt: -1 })
+      .select('updatedAt');
+    const pages = Math.ceil(postCount / MAX_SITEMAP_URLS);
+
+    res.send(
+      buildSitemapIndex([
+        { loc: absoluteUrl('/sitemaps/categories.xml') },
+        ...Array.from({ length: pages }, (_, i) => ({
+          loc: absoluteUrl(`/sitemaps/posts-${i + 1}.xml`),
+          lastmod: latest && latest.updatedAt,
+        })),
+      ])
+    );
+  } catch (error) {
+    console.error('Get sitemap error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Sitemap page of published posts
+// @route   GET /sitemaps/posts-:page.xml
+// @access  Public
+const getPostSitemap = async (req, res) => {
+  try {
+    const page = parseInt(req.params.page);
+    const postUrls =
+      page >= 1 ? await getPostUrls((page - 1) * MAX_SITEMAP_URLS) : [];
+
+    if (postUrls.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Sitemap not found',
+      });
+    }
+
+    res.type('application/xml').send(buildUrlSet(postUrls));
+  } catch (error) {
+    console.error('Get post sitemap error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Sitemap of the home page and categories
+// @route   GET /sitemaps/categories.xml
+// @access  Public
+const getCategorySitemap = async (req, res) => {
+  try {
+    res.type('application/xml').send(buildUrlSet(await getCategoryUrls()));
+  } catch (error) {
+    console.error('Get category sitemap error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    robots.txt pointing crawlers at the sitemap
+// @route   GET /robots.txt
+// @access  Public
+const getRobots = (req, res) => {
+  const lines = [
+    'User-agent: *',
+    ...DISALLOWED_PATHS.map((path) => `Disallow: ${path}`),
+    '',
+    `Sitemap: ${absoluteUrl('/sitemap.xml')}`,
+    '',
+  ];
+
+  res.type('text/plain').send(lines.join('\n'));
+};
+
+module.exports = {
+  getSitemap,
+  getPostSitemap,
+  getCategorySitemap,
+  getRobots,
+};
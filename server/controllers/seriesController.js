@@ -0,0 +1,327 @@
+// seriesController.js - Post series controller
+
+const Post = require('../models/Post');
+const Series = require('../models/Series');
+const { saveWithUniqueSlug } = require('../utils/slugs');
+
+// Load a series by id or slug
+const findSeries = (id) => {
+  const isObjectId = /^[0-9a-fA-F]{24}$/.test(id);
+  return Series.findOne(isObjectId ? { _id: id } : { slug: id });
+};
+
+// True if the user owns the series or is an admin
+const canManage = (series, user) =>
+  Boolean(user) && (series.author.toString() === user._id.toString() || user.role === 'admin');
+
+// Load a series the current user may change
+const findOwnSeries = async (req, res) => {
+  const series = await findSeries(req.params.id);
+
+  if (!series) {
+    res.status(404).json({
+      success: false,
+      error: 'Series not found',
+    });
+    return null;
+  }
+
+  if (!canManage(series, req.user)) {
+    res.status(403).json({
+      success: false,
+      error: 'Not authorized to change this series',
+    });
+    return null;
+  }
+
+  return series;
+};
+
+// Populate a series' posts; readers only see public ones
+const populatePosts = (series, user) =>
+  series.populate([
+    { path: 'author', select: 'username firstName lastName avatar' },
+    {
+      path: 'posts',
+      match: canManage(series, user) ? {} : Post.publicFilter(),
+      select: 'title slug excerpt featuredImage readingTime isPublished publishAt publishedAt',
+    },
+  ]);
+
+// @desc    Get all series
+// @route   GET /api/series
+// @access  Public
+const getAllSeries = async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const query = {};
+    if (req.query.author && /^[0-9a-fA-F]{24}$/.test(req.query.author)) {
+      query.author = req.query.author;
+    }
+
+    const series = await Series.find(query)
+      .populate('author', 'username firstName lastName avatar')
+      .sort({ updatedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-__v');
+
+    const total = await Series.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: series,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalSeries: total,
+        seriesPerPage: limit,
+      },
+    });
+  } catch (error) {
+    console.error('Get all series error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Get a series with its posts in order
+// @route   GET /api/series/:id
+// @access  Public
+const getSeries = async (req, res) => {
+  try {
+    const series = await findSeries(req.params.id).select('-__v');
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        error: 'Series not found',
+      });
+    }
+
+    await populatePosts(series, req.user);
+
+    res.json({
+      success: true,
+      data: series,
+    });
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Create a series
+// @route   POST /api/series
+// @access  Private
+const createSeries = async (req, res) => {
+  try {
+    const { title, description } = req.body;
+
+    const series = await saveWithUniqueSlug(new Series({
+      title,
+      description,
+      author: req.user._id,
+    }));
+
+    res.status(201).json({
+      success: true,
+      data: series,
+    });
+  } catch (error) {
+    console.error('Create series error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Update a series
+// @route   PUT /api/series/:id
+// @access  Private (Owner or Admin)
+const updateSeries = async (req, res) => {
+  try {
+    const series = await findOwnSeries(req, res);
+    if (!series) return;
+
+    const { title, description } = req.body;
+
+    if (title) series.title = title;
+    if (description !== undefined) series.description = description;
+
+    await saveWithUniqueSlug(series);
+
+    res.json({
+      success: true,
+      data: series,
+    });
+  } catch (error) {
+    console.error('Update series error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Delete a series (its posts are kept)
+// @route   DELETE /api/series/:id
+// @access  Private (Owner or Admin)
+const deleteSeries = async (req, res) => {
+  try {
+    const series = await findOwnSeries(req, res);
+    if (!series) return;
+
+    await series.deleteOne();
+
+    res.json({
+      success: true,
+      message: 'Series deleted successfully',
+    });
+  } catch (error) {
+    console.error('Delete series error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Add a post to a series, at the end or at a 1-based position
+// @route   POST /api/series/:id/posts
+// @access  Private (Owner or Admin)
+const addPostToSeries = async (req, res) => {
+  try {
+    const series = await findOwnSeries(req, res);
+    if (!series) return;
+
+    const post = await Post.findById(req.body.postId).select('author');
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found',
+      });
+    }
+
+    // Check if user is author or admin
+    if (post.author.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(403).json({
+        success: false,
+        error: 'Not authorized to add this post to a series',
+      });
+    }
+
+    const other = await Series.findOne({ _id: { $ne: series._id }, posts: post._id }).select(
+      'title'
+    );
+    if (other) {
+      return res.status(400).json({
+        success: false,
+        error: `Post is already part of the series "${other.title}"`,
+      });
+    }
+
+    const posts = series.posts.filter((postId) => !postId.equals(post._id));
+    const position = parseInt(req.body.position);
+    const index = Number.isNaN(position)
+      ? posts.length
+      : Math.min(Math.max(position - 1, 0), posts.length);
+
+    posts.splice(index, 0, post._id);
+    series.posts = posts;
+    await series.save();
+
+    res.json({
+      success: true,
+      data: series,
+    });
+  } catch (error) {
+    console.error('Add post to series error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Remove a post from a series
+// @route   DELETE /api/series/:id/posts/:postId
+// @access  Private (Owner or Admin)
+const removePostFromSeries = async (req, res) => {
+  try {
+    const series = await findOwnSeries(req, res);
+    if (!series) return;
+
+    series.posts = series.posts.filter((postId) => postId.toString() !== req.params.postId);
+    await series.save();
+
+    res.json({
+      success: true,
+      data: series,
+    });
+  } catch (error) {
+    console.error('Remove post from series error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Reorder the posts of a series
+// @route   PUT /api/series/:id/posts/order
+// @access  Private (Owner or Admin)
+const reorderSeries = async (req, res) => {
+  try {
+    const series = await findOwnSeries(req, res);
+    if (!series) return;
+
+    const { postIds } = req.body;
+    const current = series.posts.map((postId) => postId.toString()).sort();
+    const requested = [...postIds].sort();
+
+    // The new order must contain exactly the posts already in the series
+    if (current.join() !== requested.join()) {
+      return res.status(400).json({
+        success: false,
+        error: 'postIds must list every post in the series exactly once',
+      });
+    }
+
+    series.posts = postIds;
+    await series.save();
+
+    res.json({
+      success: true,
+      data: series,
+    });
+  } catch (error) {
+    console.error('Reorder series error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+module.exports = {
+  getAllSeries,
+  getSeries,
+  createSeries,
+  updateSeries,
+  deleteSeries,
+  addPostToSeries,
+  removePostFromSeries,
+  reorderSeries,
+};
@@ -0,0 +1,147 @@
+// tagController.js - Tag controller
+
+const Post = require('../models/Post');
+const { normalizeTag, normalizeTags } = require('../utils/tags');
+
+// @desc    Get all tags with post counts
+// @route   GET /api/tags
+// @access  Public
+const getAllTags = async (req, res) => {
+  try {
+    const tags = await Post.aggregate([
+      { $match: Post.publicFilter() },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, tag: '$_id', count: 1 } },
+    ]);
+
+    res.json({
+      success: true,
+      data: tags,
+    });
+  } catch (error) {
+    console.error('Get all tags error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Get posts by tag
+// @route   GET /api/tags/:slug/posts
+// @access  Public
+const getPostsByTag = async (req, res) => {
+  try {
+    const tag = normalizeTag(req.params.slug);
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+
+    const query = Post.publicFilter({ tags: tag });
+    const total = await Post.countDocuments(query);
+
+    if (!tag || total === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tag not found',
+      });
+    }
+
+    const skip = (page - 1) * limit;
+
+    const posts = await Post.find(query)
+      .populate('author', 'username firstName lastName avatar')
+      .populate('category', 'name color icon')
+      .sort({ publishedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-__v');
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        tag: { tag, count: total },
+        posts,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalPosts: total,
+          postsPerPage: limit,
+        },
+      },
+    });
+  } catch (error) {
+    console.error('Get posts by tag error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+// @desc    Rename a tag, or merge several tags into one, across all posts
+// @route   POST /api/tags/rename
+// @access  Private (Admin only)
+const renameTags = async (req, res) => {
+  try {
+    const from = normalizeTags(req.body.from);
+    const to = normalizeTag(req.body.to);
+
+    if (from.length === 0 || !to) {
+      return res.status(400).json({
+        success: false,
+        error: 'Tags must contain at least one letter or number',
+      });
+    }
+
+    // Swap each old tag for the new one, then drop duplicates while keeping order
+    const result = await Post.updateMany({ tags: { $in: from } }, [
+      {
+        $set: {
+          tags: {
+            $reduce: {
+              input: {
+                $map: {
+                  input: '$tags',
+                  in: { $cond: [{ $in: ['$$this', from] }, to, '$$this'] },
+                },
+              },
+              initialValue: [],
+              in: {
+                $cond: [
+                  { $in: ['$$this', '$$value'] },
+                  '$$value',
+                  { $concatArrays: ['$$value', ['$$this']] },
+                ],
+              },
+            },
+          },
+        },
+      },
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        postsUpdated: result.modifiedCount,
+      },
+    });
+  } catch (error) {
+    console.error('Rename tags error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Server error',
+    });
+  }
+};
+
+module.exports = {
+  getAllTags,
+  getPostsByTag,
+  renameTags,
+};
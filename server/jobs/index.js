@@ -0,0 +1,28 @@
+// index.js - Registers the server's background jobs
+
+const { scheduleJob } = require('../utils/scheduler');
+const publishScheduledPosts = require('./publishScheduledPosts');
+const refreshTrending = require('./refreshTrending');
+const purgeDeletedPosts = require('./purgeDeletedPosts');
+
+const startJobs = () => {
+  scheduleJob(
+    'publish-scheduled-posts',
+    parseInt(process.env.PUBLISH_SCHEDULER_INTERVAL_MS) || 60 * 1000,
+    publishScheduledPosts
+  );
+
+  scheduleJob(
+    'refresh-trending',
+    parseInt(process.env.TRENDING_REFRESH_INTERVAL_MS) || 10 * 60 * 1000,
+    refreshTrending
+  );
+
+  scheduleJob(
+    'purge-deleted-posts',
+    parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000,
+    purgeDeletedPosts
+  );
+};
+
+module.exports = startJobs;
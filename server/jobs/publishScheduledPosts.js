@@ -0,0 +1,13 @@
+// publishScheduledPosts.js - Publishes posts whose publishAt time has passed
+
+const Post = require('../models/Post');
+
+const publishScheduledPosts = async () => {
+  const result = await Post.publishDuePosts();
+
+  if (result.modifiedCount > 0) {
+    console.log(`Published ${result.modifiedCount} scheduled post(s)`);
+  }
+};
+
+module.exports = publishScheduledPosts;
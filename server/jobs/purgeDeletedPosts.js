@@ -0,0 +1,21 @@
+// purgeDeletedPosts.js - Permanently deletes posts that have been in the trash too long
+
+const Post = require('../models/Post');
+const { getTrashRetentionDays, purgePost } = require('../utils/purgePost');
+
+const purgeDeletedPosts = async () => {
+  const cutoff = new Date(Date.now() - getTrashRetentionDays() * 24 * 60 * 60 * 1000);
+  const posts = await Post.find({ deletedAt: { $ne: null, $lte: cutoff } }).select(
+    '_id featuredImage'
+  );
+
+  for (const post of posts) {
+    await purgePost(post);
+  }
+
+  if (posts.length > 0) {
+    console.log(`Purged ${posts.length} post(s) from the trash`);
+  }
+};
+
+module.exports = purgeDeletedPosts;
@@ -0,0 +1,5 @@
+// refreshTrending.js - Recomputes the cached trending post rankings
+
+const { refreshTrending } = require('../utils/trending');
+
+module.exports = refreshTrending;
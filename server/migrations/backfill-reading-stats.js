@@ -0,0 +1,40 @@
+// backfill-reading-stats.js - One-off migration adding word count, reading time
+// and generated excerpts to existing posts
+//
+// Usage: npm run migrate:reading-stats
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Post = require('../models/Post');
+const { countWords, readingTime, makeExcerpt } = require('../utils/markdown');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let updated = 0;
+  const cursor = Post.collection.find({}, { projection: { content: 1, excerpt: 1 } });
+
+  for await (const post of cursor) {
+    const wordCount = countWords(post.content);
+    const update = { wordCount, readingTime: readingTime(wordCount) };
+
+    if (!post.excerpt || !post.excerpt.trim()) {
+      update.excerpt = makeExcerpt(post.content);
+      update.autoExcerpt = true;
+    }
+
+    await Post.collection.updateOne({ _id: post._id }, { $set: update });
+    updated += 1;
+  }
+
+  console.log(`Backfilled reading stats on ${updated} post(s)`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Reading stats backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
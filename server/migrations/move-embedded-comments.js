@@ -0,0 +1,97 @@
+// move-embedded-comments.js - One-off migration moving embedded post comments
+// into the comments collection, keeping their ids, authors and timestamps.
+// Safe to re-run: already-moved comments are skipped. Comments without an
+// author or content cannot be moved; they are logged and left on the post.
+//
+// Usage: npm run migrate:comments
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+
+dotenv.config();
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let movedPosts = 0;
+  let movedComments = 0;
+  let skippedComments = 0;
+
+  // Read the raw documents: the Post schema no longer has a comments array
+  const cursor = Post.collection.find(
+    { 'comments.0': { $exists: true } },
+    { projection: { comments: 1 } }
+  );
+
+  for await (const post of cursor) {
+    const skipped = post.comments.filter((comment) => !comment.user || !comment.content);
+    skipped.forEach((comment) => {
+      console.warn(`Post ${post._id}: comment ${comment._id} has no author or content, left in place`);
+    });
+    skippedComments += skipped.length;
+
+    const comments = post.comments
+      .filter((comment) => comment.user && comment.content)
+      .map((comment) => ({
+        _id: comment._id,
+        post: post._id,
+        author: comment.user,
+        parent: null,
+        root: null,
+        content: comment.content,
+        replyCount: 0,
+        status: 'approved',
+        isRemoved: false,
+        createdAt: comment.createdAt,
+        updatedAt: comment.createdAt,
+      }));
+
+    if (comments.length > 0) {
+      try {
+        const result = await Comment.collection.insertMany(comments, { ordered: false });
+        movedComments += result.insertedCount;
+      } catch (error) {
+        // Comments copied by an earlier, interrupted run already exist
+        if (error.code !== DUPLICATE_KEY_ERROR) {
+          throw error;
+        }
+        movedComments += error.result ? error.result.insertedCount : 0;
+      }
+    }
+
+    const commentCount = await Comment.countDocuments({ post: post._id });
+    const update = skipped.length > 0
+      ? { $set: { comments: skipped, commentCount } }
+      : { $unset: { comments: '' }, $set: { commentCount } };
+    await Post.collection.updateOne({ _id: post._id }, update);
+    movedPosts += 1;
+  }
+
+  // Clear out empty embedded arrays left on other posts
+  await Post.collection.updateMany(
+    { comments: { $size: 0 } },
+    { $unset: { comments: '' } }
+  );
+
+  // Comments created before moderation existed were all live
+  await Comment.collection.updateMany(
+    { status: { $exists: false } },
+    { $set: { status: 'approved' } }
+  );
+
+  console.log(`Moved ${movedComments} comment(s) from ${movedPosts} post(s)`);
+  if (skippedComments > 0) {
+    console.log(`Left ${skippedComments} comment(s) without an author or content in place`);
+  }
+};
+
+run()
+  .catch((error) => {
+    console.error('Comment migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,41 @@
+// normalize-post-tags.js - One-off migration normalizing existing post tags
+//
+// Usage: npm run migrate:tags
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Post = require('../models/Post');
+const { normalizeTags, isValidTag } = require('../utils/tags');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let updated = 0;
+  const cursor = Post.collection.find(
+    { 'tags.0': { $exists: true } },
+    { projection: { tags: 1 } }
+  );
+
+  for await (const post of cursor) {
+    const tags = normalizeTags(post.tags);
+    const dropped = post.tags.filter((tag) => !isValidTag(tag));
+    if (dropped.length > 0) {
+      console.warn(`Post ${post._id}: dropping unusable tags ${JSON.stringify(dropped)}`);
+    }
+    if (JSON.stringify(tags) !== JSON.stringify(post.tags)) {
+      await Post.collection.updateOne({ _id: post._id }, { $set: { tags } });
+      updated += 1;
+    }
+  }
+
+  console.log(`Normalized tags on ${updated} post(s)`);
+};
+
+run()
+  .catch((error) => {
+    console.error('Tag normalization failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
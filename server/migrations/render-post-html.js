@@ -0,0 +1,33 @@
+// render-post-html.js - One-off migration rendering stored Markdown to sanitized HTML
+// and its table of contents
+//
+// Usage: npm run migrate:html
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Post = require('../models/Post');
+const { renderMarkdown } = require('../utils/markdown');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  let updated = 0;
+  const cursor = Post.collection.find({}, { projection: { content: 1 } });
+
+  for await (const post of cursor) {
+    const { html, toc } = renderMarkdown(post.content);
+    await Post.collection.updateOne({ _id: post._id }, { $set: { contentHtml: html, toc } });
+    updated += 1;
+  }
+
+  console.log(`Rendered HTML for ${updated} post(s)`);
+};
+
+run()
+  .catch((error) => {
+    console.error('HTML rendering failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,25 @@
+// Bookmark.js - Mongoose model for posts readers saved for later
+
+const mongoose = require('mongoose');
+
+const BookmarkSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// A post can be bookmarked once per user; listed newest first
+BookmarkSchema.index({ user: 1, post: 1 }, { unique: true });
+BookmarkSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Bookmark', BookmarkSchema);
@@ -1,6 +1,7 @@
 // Category.js - Mongoose model for blog post categories
 
 const mongoose = require('mongoose');
+const { slugify, matchesBase, uniqueSlug } = require('../utils/slugs');
 
 const CategorySchema = new mongoose.Schema(
   {
@@ -40,18 +41,20 @@ const CategorySchema = new mongoose.Schema(
   { timestamps: true }
 );
 
-// Create slug from name before saving
-CategorySchema.pre('save', function (next) {
-  if (!this.isModified('name')) {
-    return next();
+// Create a unique slug from the name before validation
+CategorySchema.pre('validate', async function () {
+  // Set by saveWithUniqueSlug when a concurrent save took the chosen slug
+  const retry = Boolean(this.$locals.slugTaken);
+  this.$locals.slugTaken = false;
+
+  if (!retry && !this.isNew && !this.isModified('name')) {
+    return;
   }
-  
-  this.slug = this.name
-    .toLowerCase()
-    .replace(/[^\w ]+/g, '')
-    .replace(/ +/g, '-');
-    
-  next();
+
+  const base = slugify(this.name) || `category-${this._id.toString().slice(-8)}`;
+  this.slug = !retry && matchesBase(this.slug, base)
+    ? this.slug
+    : await uniqueSlug(this.constructor, base, this._id);
 });
 
 // Virtual for category URL
@@ -0,0 +1,136 @@
+// Comment.js - Mongoose model for threaded post comments
+
+const mongoose = require('mongoose');
+const Post = require('./Post');
+
+// Text shown in place of a removed comment
+const REMOVED_PLACEHOLDER = '[removed]';
+
+const CommentSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Comment being replied to; null for top-level comments
+    parent: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null,
+    },
+    // Top-level comment of the thread, so a whole thread loads in one query
+    root: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Comment',
+      default: null,
+    },
+    content: {
+      type: String,
+      required: [true, 'Please provide comment content'],
+      trim: true,
+      maxlength: [1000, 'Comment cannot be more than 1000 characters'],
+    },
+    replyCount: {
+      type: Number,
+      default: 0,
+    },
+    // Reaction type -> count, kept in step with the reactions collection
+    reactionCounts: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    // Only approved comments are shown in threads
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'spam', 'rejected'],
+      default: 'approved',
+    },
+    spamScore: {
+      type: Number,
+      default: 0,
+    },
+    spamReasons: [String],
+    moderatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    moderatedAt: {
+      type: Date,
+    },
+    // Set when the commenter edits the comment
+    editedAt: {
+      type: Date,
+    },
+    // Removed comments stay in the thread as a placeholder
+    isRemoved: {
+      type: Boolean,
+      default: false,
+    },
+    removedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    removedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+// Top-level comments of a post, and the replies of a thread
+CommentSchema.index({ post: 1, parent: 1, createdAt: -1 });
+CommentSchema.index({ root: 1, createdAt: 1 });
+// Moderation queue
+CommentSchema.index({ status: 1, createdAt: 1 });
+
+// Whether the comment's author can still edit it
+CommentSchema.methods.isEditableBy = function (userId, windowMinutes) {
+  const authorId = this.author._id || this.author;
+  return (
+    !this.isRemoved &&
+    authorId.toString() === userId.toString() &&
+    Date.now() - this.createdAt.getTime() <= windowMinutes * 60 * 1000
+  );
+};
+
+// Keep the post's comment count and the parent's reply count in step
+// with the comments readers can see. Counters are not edits, so updatedAt is left alone.
+CommentSchema.statics.adjustCounts = async function (comment, delta) {
+  await Post.updateOne(
+    { _id: comment.post._id || comment.post },
+    { $inc: { commentCount: delta } },
+    { timestamps: false }
+  );
+
+  if (comment.parent) {
+    await this.updateOne(
+      { _id: comment.parent },
+      { $inc: { replyCount: delta } },
+      { timestamps: false }
+    );
+  }
+};
+
+// Hide the content and author of removed comments and flag edits
+CommentSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    ret.edited = Boolean(ret.editedAt);
+    if (ret.isRemoved) {
+      ret.content = REMOVED_PLACEHOLDER;
+      ret.author = null;
+    }
+    delete ret.removedBy;
+    delete ret.spamScore;
+    delete ret.spamReasons;
+    return ret;
+  },
+});
+
+module.exports = mongoose.model('Comment', CommentSchema);
@@ -1,6 +1,10 @@
 // Post.js - Mongoose model for blog posts
 
 const mongoose = require('mongoose');
+const PostRevision = require('./PostRevision');
+const { normalizeTags } = require('../utils/tags');
+const { slugify, matchesBase, uniqueSlug } = require('../utils/slugs');
+const { countWords, readingTime, makeExcerpt, renderMarkdown } = require('../utils/markdown');
 
 const PostSchema = new mongoose.Schema(
   {
@@ -14,6 +18,20 @@ const PostSchema = new mongoose.Schema(
       type: String,
       required: [true, 'Please provide content'],
     },
+    // Sanitized HTML rendered from the Markdown content
+    contentHtml: {
+      type: String,
+      default: '',
+    },
+    // Headings of the content, with the anchor ids used in contentHtml
+    toc: [
+      {
+        _id: false,
+        level: Number,
+        text: String,
+        id: String,
+      },
+    ],
     featuredImage: {
       type: String,
       default: 'default-post.jpg',
@@ -23,10 +41,34 @@ const PostSchema = new mongoose.Schema(
       required: true,
       unique: true,
     },
+    // True when the author chose the slug; otherwise it follows the title
+    customSlug: {
+      type: Boolean,
+      default: false,
+    },
+    // Previous slugs, which redirect to the current one
+    slugHistory: {
+      type: [String],
+      index: true,
+    },
     excerpt: {
       type: String,
       maxlength: [200, 'Excerpt cannot be more than 200 characters'],
     },
+    // True when the excerpt was generated from the content rather than written
+    autoExcerpt: {
+      type: Boolean,
+      default: false,
+    },
+    wordCount: {
+      type: Number,
+      default: 0,
+    },
+    // Estimated minutes to read
+    readingTime: {
+      type: Number,
+      default: 1,
+    },
     author: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
@@ -38,63 +80,271 @@ const PostSchema = new mongoose.Schema(
       required: true,
     },
     tags: [String],
+    lastEditedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
     isPublished: {
       type: Boolean,
       default: false,
     },
+    // Optional future time at which a published post goes live
+    publishAt: {
+      type: Date,
+    },
+    // When the post actually became public
+    publishedAt: {
+      type: Date,
+    },
     viewCount: {
       type: Number,
       default: 0,
     },
-    comments: [
-      {
-        user: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: 'User',
-        },
-        content: {
-          type: String,
-          required: true,
-        },
-        createdAt: {
-          type: Date,
-          default: Date.now,
-        },
+    // Reaction type -> count, kept in step with the reactions collection
+    reactionCounts: {
+      type: Map,
+      of: Number,
+      default: {},
+    },
+    // Comments live in their own collection; this is kept in sync for listings
+    commentCount: {
+      type: Number,
+      default: 0,
+    },
+    // Set when the post is moved to the trash; purged after the retention period
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // The series and part index the post was taken out of when trashed, for a restore
+    trashedFrom: {
+      series: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Series',
       },
-    ],
+      position: Number,
+    },
   },
-  { timestamps: true }
+  // Every save bumps __v and fails if the document changed since it was loaded
+  { timestamps: true, optimisticConcurrency: true }
+);
+
+// Create a unique slug from the title (or the author's custom slug) before validation.
+// slugTaken is set by saveWithUniqueSlug when a concurrent save took the chosen slug.
+PostSchema.pre('validate', async function () {
+  const retry = Boolean(this.$locals.slugTaken);
+  this.$locals.slugTaken = false;
+
+  const custom = this.customSlug && (retry || this.isModified('slug'));
+  const fromTitle =
+    !this.customSlug &&
+    (retry || this.isNew || this.isModified('title') || this.isModified('customSlug'));
+
+  if (!custom && !fromTitle) {
+    return;
+  }
+
+  const previous = this.isNew ? null : this.$locals.original && this.$locals.original.slug;
+  const base = slugify(custom ? this.slug : this.title) || `post-${this._id.toString().slice(-8)}`;
+
+  // Keep the current slug if it already belongs to the same base
+  const slug =
+    !custom && !retry && matchesBase(previous, base)
+      ? previous
+      : await uniqueSlug(this.constructor, base, this._id);
+
+  if (previous && slug !== previous && !this.slugHistory.includes(previous)) {
+    this.slugHistory.push(previous);
+  }
+  this.slugHistory = this.slugHistory.filter((old) => old !== slug);
+  this.slug = slug;
+});
+
+// Keep rendered HTML, the TOC, reading stats and the excerpt in step with the content
+PostSchema.pre('validate', function () {
+  if (this.isNew || this.isModified('excerpt')) {
+    this.autoExcerpt = !this.excerpt || !this.excerpt.trim();
+  }
+
+  if (this.isNew || this.isModified('content')) {
+    const { html, toc } = renderMarkdown(this.content);
+    this.contentHtml = html;
+    this.toc = toc;
+    this.wordCount = countWords(this.content);
+    this.readingTime = readingTime(this.wordCount);
+  }
+
+  if (this.autoExcerpt && (this.isModified('content') || this.isModified('autoExcerpt'))) {
+    this.excerpt = makeExcerpt(this.content);
+  }
+});
+
+// Public listings filter and sort on publication state and time
+PostSchema.index({ isPublished: 1, publishedAt: -1 });
+
+// Weighted full-text index used by search
+PostSchema.index(
+  { title: 'text', tags: 'text', excerpt: 'text', content: 'text' },
+  {
+    name: 'post_text_search',
+    weights: { title: 10, tags: 5, excerpt: 3, content: 1 },
+  }
 );
 
-// Create slug from title before saving
+// Tag pages and the tag cloud look posts up by tag
+PostSchema.index({ tags: 1 });
+PostSchema.index({ deletedAt: 1 });
+
+// Normalize tags so "React" and "react " are stored as the same tag
+PostSchema.pre('save', function (next) {
+  if (this.isModified('tags')) {
+    this.tags = normalizeTags(this.tags);
+  }
+  next();
+});
+
+// Record the publication time, or hold the post back until publishAt
 PostSchema.pre('save', function (next) {
-  if (!this.isModified('title')) {
+  if (!this.isModified('isPublished') && !this.isModified('publishAt')) {
     return next();
   }
-  
-  this.slug = this.title
-    .toLowerCase()
-    .replace(/[^\w ]+/g, '')
-    .replace(/ +/g, '-');
-    
+
+  if (this.isPublished && this.publishAt && this.publishAt > new Date()) {
+    this.publishedAt = undefined;
+  } else if (this.isPublished && !this.publishedAt) {
+    this.publishedAt = this.publishAt || new Date();
+  }
+
   next();
 });
 
+// Fields that are snapshotted into a revision when they change
+const REVISIONED_FIELDS = ['title', 'content', 'excerpt', 'tags', 'category'];
+
+// Remember the stored version so it can be snapshotted on the next save
+const rememberOriginal = function () {
+  this.$locals.original = {
+    slug: this.slug,
+    title: this.title,
+    content: this.content,
+    excerpt: this.excerpt,
+    tags: this.tags ? [...this.tags] : [],
+    category: this.category,
+    lastEditedBy: this.lastEditedBy || this.author,
+    updatedAt: this.updatedAt,
+  };
+};
+
+PostSchema.post('init', rememberOriginal);
+PostSchema.post('save', rememberOriginal);
+
+// Work out which previous version needs a snapshot; it is only written once the
+// save succeeds, so a rejected save (e.g. a version conflict) leaves no revision
+PostSchema.pre('save', function (next) {
+  if (this.$locals.editedBy) {
+    this.lastEditedBy = this.$locals.editedBy;
+  }
+
+  const original = this.$locals.original;
+  const changed = REVISIONED_FIELDS.some((field) => this.isModified(field));
+
+  this.$locals.pendingRevision = !this.isNew && original && changed ? original : null;
+  next();
+});
+
+// Snapshot the previous version into the revisions collection
+PostSchema.post('save', async function () {
+  const original = this.$locals.pendingRevision;
+  if (!original) {
+    return;
+  }
+
+  this.$locals.pendingRevision = null;
+  await PostRevision.record(this._id, {
+    title: original.title,
+    content: original.content,
+    excerpt: original.excerpt,
+    tags: original.tags,
+    category: original.category,
+    editedBy: original.lastEditedBy,
+    savedAt: original.updatedAt,
+  });
+});
+
 // Virtual for post URL
 PostSchema.virtual('url').get(function () {
   return `/posts/${this.slug}`;
 });
 
-// Method to add a comment
-PostSchema.methods.addComment = function (userId, content) {
-  this.comments.push({ user: userId, content });
-  return this.save();
+// Virtual for the edit version clients send back in If-Match
+PostSchema.virtual('version').get(function () {
+  return this.__v;
+});
+
+// Virtual for publication status: deleted, draft, scheduled or published
+PostSchema.virtual('status').get(function () {
+  if (this.deletedAt) {
+    return 'deleted';
+  }
+  if (!this.isPublished) {
+    return 'draft';
+  }
+  return this.publishedAt && this.publishedAt <= new Date() ? 'published' : 'scheduled';
+});
+
+// Hide trashed posts unless the query filters on deletedAt or sets withDeleted
+function excludeDeleted() {
+  if (this.getOptions().withDeleted || this.getFilter().deletedAt !== undefined) {
+    return;
+  }
+  this.where({ deletedAt: null });
+}
+
+PostSchema.pre(['find', 'findOne', 'countDocuments', 'distinct'], excludeDeleted);
+
+PostSchema.pre('aggregate', function () {
+  if (this.options.withDeleted) {
+    return;
+  }
+
+  // $text must stay in the first stage, so merge into an existing leading $match
+  const [first] = this.pipeline();
+  if (first && first.$match) {
+    if (first.$match.deletedAt === undefined) {
+      first.$match.deletedAt = null;
+    }
+  } else {
+    this.pipeline().unshift({ $match: { deletedAt: null } });
+  }
+});
+
+// Query filter for posts that are visible to the public
+PostSchema.statics.publicFilter = function (filter = {}) {
+  return {
+    ...filter,
+    isPublished: true,
+    publishedAt: { $lte: new Date() },
+  };
 };
 
-// Method to increment view count
-PostSchema.methods.incrementViewCount = function () {
-  this.viewCount += 1;
-  return this.save();
+// Publish scheduled posts whose publishAt has passed; posts in the trash stay put
+PostSchema.statics.publishDuePosts = function (now = new Date()) {
+  return this.updateMany(
+    {
+      isPublished: true,
+      publishedAt: null,
+      deletedAt: null,
+      $or: [{ publishAt: null }, { publishAt: { $lte: now } }],
+    },
+    [{ $set: { publishedAt: { $ifNull: ['$publishAt', '$createdAt'] } } }]
+  );
 };
 
+// Ensure virtual fields are serialized
+PostSchema.set('toJSON', { virtuals: true, versionKey: false });
+
 module.exports = mongoose.model('Post', PostSchema); 
\ No newline at end of file
@@ -0,0 +1,99 @@
+// PostLock.js - Mongoose model for short-lived edit locks on posts
+
+const mongoose = require('mongoose');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+const PostLockSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    acquiredAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // Pushed forward by each heartbeat; the lock lapses if the editor goes away
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  }
+);
+
+// One lock per post; expired locks are cleaned up by MongoDB
+PostLockSchema.index({ post: 1 }, { unique: true });
+PostLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// The post's lock if it hasn't expired yet
+PostLockSchema.statics.findActive = function (postId) {
+  return this.findOne({ post: postId, expiresAt: { $gt: new Date() } }).populate(
+    'user',
+    'username firstName lastName avatar'
+  );
+};
+
+// The post's active lock if someone other than userId holds it; every write to a
+// post checks this so the lock protects more than the edit form
+PostLockSchema.statics.findHeldByOther = async function (postId, userId) {
+  const lock = await this.findActive(postId);
+  return lock && lock.user._id.toString() !== userId.toString() ? lock : null;
+};
+
+// Take or renew the lock for a user; null if someone else holds an active lock.
+// With force, any existing lock is taken over.
+PostLockSchema.statics.acquire = async function (postId, userId, ttlSeconds, force = false) {
+  const now = new Date();
+  const filter = force
+    ? { post: postId }
+    : { post: postId, $or: [{ user: userId }, { expiresAt: { $lte: now } }] };
+
+  try {
+    return await this.findOneAndUpdate(
+      filter,
+      {
+        $set: {
+          user: userId,
+          acquiredAt: now,
+          expiresAt: new Date(now.getTime() + ttlSeconds * 1000),
+        },
+      },
+      { new: true, upsert: true }
+    ).populate('user', 'username firstName lastName avatar');
+  } catch (error) {
+    // The upsert collided with another user's lock
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Extend a lock the user already holds; null if they no longer hold it
+PostLockSchema.statics.renew = function (postId, userId, ttlSeconds) {
+  const now = new Date();
+
+  return this.findOneAndUpdate(
+    { post: postId, user: userId, expiresAt: { $gt: now } },
+    { $set: { expiresAt: new Date(now.getTime() + ttlSeconds * 1000) } },
+    { new: true }
+  ).populate('user', 'username firstName lastName avatar');
+};
+
+// Show who holds the lock and until when
+PostLockSchema.set('toJSON', {
+  transform: (doc, ret) => ({
+    holder: ret.user,
+    acquiredAt: ret.acquiredAt,
+    expiresAt: ret.expiresAt,
+  }),
+});
+
+module.exports = mongoose.model('PostLock', PostLockSchema);
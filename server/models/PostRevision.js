@@ -0,0 +1,76 @@
+// PostRevision.js - Mongoose model for snapshots of previous post versions
+
+const mongoose = require('mongoose');
+
+const MAX_REVISION_ATTEMPTS = 5;
+const DUPLICATE_KEY_ERROR = 11000;
+
+const PostRevisionSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+    },
+    rev: {
+      type: Number,
+      required: true,
+    },
+    title: {
+      type: String,
+      required: true,
+    },
+    content: {
+      type: String,
+      required: true,
+    },
+    excerpt: {
+      type: String,
+    },
+    tags: [String],
+    category: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Category',
+    },
+    // User who wrote this version of the post
+    editedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    // When this version was saved (the post's updatedAt at the time)
+    savedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// Revision numbers are sequential per post
+PostRevisionSchema.index({ post: 1, rev: -1 }, { unique: true });
+
+// Get the next revision number for a post
+PostRevisionSchema.statics.nextRevisionNumber = async function (postId) {
+  const latest = await this.findOne({ post: postId })
+    .sort({ rev: -1 })
+    .select('rev');
+
+  return latest ? latest.rev + 1 : 1;
+};
+
+// Store a snapshot under the next revision number. Two saves of the same post can
+// pick the same number and the unique index rejects the second, so pick again.
+PostRevisionSchema.statics.record = async function (postId, snapshot) {
+  for (let attempt = 1; ; attempt += 1) {
+    const rev = await this.nextRevisionNumber(postId);
+
+    try {
+      return await this.create({ ...snapshot, post: postId, rev });
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY_ERROR || attempt >= MAX_REVISION_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
+
+module.exports = mongoose.model('PostRevision', PostRevisionSchema);
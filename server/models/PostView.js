@@ -0,0 +1,51 @@
+// PostView.js - Mongoose model for recent post views, used to de-duplicate counts
+
+const mongoose = require('mongoose');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+const PostViewSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true,
+  },
+  // User id for signed-in readers, otherwise a hash of IP and user agent
+  visitor: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+});
+
+// One view per visitor per post until the record expires
+PostViewSchema.index({ post: 1, visitor: 1 }, { unique: true });
+PostViewSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Record a view; false if the visitor already viewed the post in this window
+PostViewSchema.statics.record = async function (postId, visitor, windowMinutes) {
+  const now = new Date();
+
+  // TTL cleanup runs periodically, so clear a stale record ourselves
+  await this.deleteOne({ post: postId, visitor, expiresAt: { $lte: now } });
+
+  try {
+    await this.create({
+      post: postId,
+      visitor,
+      expiresAt: new Date(now.getTime() + windowMinutes * 60 * 1000),
+    });
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      return false;
+    }
+    throw error;
+  }
+
+  return true;
+};
+
+module.exports = mongoose.model('PostView', PostViewSchema);
@@ -0,0 +1,39 @@
+// PostViewDaily.js - Mongoose model for per-day view totals of a post
+
+const mongoose = require('mongoose');
+
+const PostViewDailySchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true,
+  },
+  // Start of the day (UTC) the views fall in
+  day: {
+    type: Date,
+    required: true,
+  },
+  views: {
+    type: Number,
+    default: 0,
+  },
+});
+
+PostViewDailySchema.index({ post: 1, day: 1 }, { unique: true });
+
+// Start of the UTC day for a date
+const startOfDay = (date) =>
+  new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+
+// Add a view to today's bucket, creating it if needed
+PostViewDailySchema.statics.increment = function (postId, date = new Date()) {
+  return this.updateOne(
+    { post: postId, day: startOfDay(date) },
+    { $inc: { views: 1 } },
+    { upsert: true }
+  );
+};
+
+PostViewDailySchema.statics.startOfDay = startOfDay;
+
+module.exports = mongoose.model('PostViewDaily', PostViewDailySchema);
@@ -0,0 +1,96 @@
+// Reaction.js - Mongoose model for reactions on posts and comments
+
+const mongoose = require('mongoose');
+const { getReactionTypes } = require('../config/reactions');
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+const ReactionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    targetType: {
+      type: String,
+      enum: ['Post', 'Comment'],
+      required: true,
+    },
+    target: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: 'targetType',
+      required: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      validate: {
+        validator: (type) => getReactionTypes().includes(type),
+        message: (props) => `${props.value} is not a reaction type`,
+      },
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// One reaction of each type per user per post or comment
+ReactionSchema.index({ target: 1, user: 1, type: 1 }, { unique: true });
+
+// Record a reaction and bump the target's count; false if it already existed
+ReactionSchema.statics.add = async function (Model, target, userId, type) {
+  try {
+    await this.create({ user: userId, targetType: Model.modelName, target, type });
+  } catch (error) {
+    if (error.code === DUPLICATE_KEY_ERROR) {
+      return false;
+    }
+    throw error;
+  }
+
+  // Reacting is not an edit of the target, so leave its updatedAt alone
+  await Model.updateOne(
+    { _id: target },
+    { $inc: { [`reactionCounts.${type}`]: 1 } },
+    { timestamps: false }
+  );
+  return true;
+};
+
+// Remove a reaction and lower the target's count; false if there was none
+ReactionSchema.statics.remove = async function (Model, target, userId, type) {
+  const result = await this.deleteOne({ target, user: userId, type });
+
+  if (result.deletedCount === 0) {
+    return false;
+  }
+
+  await Model.updateOne(
+    { _id: target },
+    { $inc: { [`reactionCounts.${type}`]: -1 } },
+    { timestamps: false }
+  );
+  return true;
+};
+
+// Map of target id to the reaction types a user has given
+ReactionSchema.statics.findUserReactions = async function (userId, targetIds) {
+  const byTarget = new Map();
+
+  if (!userId || targetIds.length === 0) {
+    return byTarget;
+  }
+
+  const reactions = await this.find({ user: userId, target: { $in: targetIds } }).select(
+    'target type'
+  );
+
+  reactions.forEach(({ target, type }) => {
+    const key = target.toString();
+    byTarget.set(key, [...(byTarget.get(key) || []), type]);
+  });
+
+  return byTarget;
+};
+
+module.exports = mongoose.model('Reaction', ReactionSchema);
@@ -0,0 +1,62 @@
+// ReadingList.js - Mongoose model for named, ordered lists of posts
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const ReadingListSchema = new mongoose.Schema(
+  {
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Please provide a reading list name'],
+      trim: true,
+      maxlength: [100, 'Reading list name cannot be more than 100 characters'],
+    },
+    description: {
+      type: String,
+      maxlength: [500, 'Description cannot be more than 500 characters'],
+    },
+    // Posts in reading order
+    posts: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+      },
+    ],
+    isPublic: {
+      type: Boolean,
+      default: false,
+    },
+    // Unguessable token for the public share link
+    shareToken: {
+      type: String,
+      unique: true,
+      sparse: true,
+    },
+  },
+  { timestamps: true }
+);
+
+ReadingListSchema.index({ owner: 1, updatedAt: -1 });
+
+// Create a share token the first time a list is made public
+ReadingListSchema.pre('save', function (next) {
+  if (this.isPublic && !this.shareToken) {
+    this.shareToken = crypto.randomBytes(16).toString('hex');
+  }
+  next();
+});
+
+// Virtual for the public share URL
+ReadingListSchema.virtual('shareUrl').get(function () {
+  return this.isPublic && this.shareToken ? `/reading-lists/${this.shareToken}` : null;
+});
+
+// Ensure virtual fields are serialized
+ReadingListSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('ReadingList', ReadingListSchema);
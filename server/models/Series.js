@@ -0,0 +1,97 @@
+// Series.js - Mongoose model for multi-part series of posts
+
+const mongoose = require('mongoose');
+const Post = require('./Post');
+const { slugify, matchesBase, uniqueSlug } = require('../utils/slugs');
+
+const SeriesSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: [true, 'Please provide a series title'],
+      trim: true,
+      maxlength: [100, 'Series title cannot be more than 100 characters'],
+    },
+    slug: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    description: {
+      type: String,
+      maxlength: [500, 'Description cannot be more than 500 characters'],
+    },
+    author: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // Posts in part order; a post belongs to at most one series
+    posts: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+SeriesSchema.index({ posts: 1 });
+
+// Create a unique slug from the title before validation
+SeriesSchema.pre('validate', async function () {
+  // Set by saveWithUniqueSlug when a concurrent save took the chosen slug
+  const retry = Boolean(this.$locals.slugTaken);
+  this.$locals.slugTaken = false;
+
+  if (!retry && !this.isNew && !this.isModified('title')) {
+    return;
+  }
+
+  const base = slugify(this.title) || `series-${this._id.toString().slice(-8)}`;
+  this.slug = !retry && matchesBase(this.slug, base)
+    ? this.slug
+    : await uniqueSlug(this.constructor, base, this._id);
+});
+
+// Virtual for series URL
+SeriesSchema.virtual('url').get(function () {
+  return `/series/${this.slug}`;
+});
+
+// "Part N of M" and previous/next links for a post, counting only parts the
+// reader can see (public posts, plus the post itself)
+SeriesSchema.statics.navigationFor = async function (post) {
+  const series = await this.findOne({ posts: post._id }).select('title slug posts');
+  if (!series) {
+    return null;
+  }
+
+  const visible = await Post.find(Post.publicFilter({ _id: { $in: series.posts } })).select(
+    'title slug'
+  );
+  const byId = new Map(visible.map((part) => [part._id.toString(), part]));
+  byId.set(post._id.toString(), post);
+
+  const parts = series.posts
+    .map((id) => byId.get(id.toString()))
+    .filter(Boolean)
+    .map((part) => ({ _id: part._id, title: part.title, slug: part.slug }));
+  const index = parts.findIndex((part) => part._id.equals(post._id));
+
+  return {
+    _id: series._id,
+    title: series.title,
+    slug: series.slug,
+    part: index + 1,
+    totalParts: parts.length,
+    previous: parts[index - 1] || null,
+    next: parts[index + 1] || null,
+  };
+};
+
+// Ensure virtual fields are serialized
+SeriesSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Series', SeriesSchema);
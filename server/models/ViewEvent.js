@@ -0,0 +1,34 @@
+// ViewEvent.js - Mongoose model for individual counted post views, used for analytics
+
+const mongoose = require('mongoose');
+
+const ViewEventSchema = new mongoose.Schema(
+  {
+    post: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Post',
+      required: true,
+    },
+    // Same key used to de-duplicate views: user id or hashed IP and user agent
+    visitor: {
+      type: String,
+      required: true,
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+    // Host name of the referring page, null for direct visits
+    referrer: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+ViewEventSchema.index({ post: 1, createdAt: 1 });
+ViewEventSchema.index({ createdAt: 1 });
+
+module.exports = mongoose.model('ViewEvent', ViewEventSchema);
@@ -0,0 +1,15 @@
+// analytics.js - Analytics routes
+
+const express = require('express');
+const router = express.Router();
+const { getPostAnalytics, getOverview } = require('../controllers/analyticsController');
+const { protect, authorize } = require('../middleware/auth');
+const { validateDateRange } = require('../utils/validation');
+
+// Protected routes
+router.use(protect);
+
+router.get('/overview', authorize('admin'), validateDateRange, getOverview);
+router.get('/posts/:id', validateDateRange, getPostAnalytics);
+
+module.exports = router;
@@ -9,6 +9,7 @@ const {
   updateProfile,
   changePassword,
 } = require('../controllers/authController');
+const { getMyBookmarks } = require('../controllers/bookmarkController');
 const { protect } = require('../middleware/auth');
 const {
   validateRegister,
@@ -21,6 +22,7 @@ router.post('/login', validateLogin, login);
 
 // Protected routes
 router.get('/me', protect, getMe);
+router.get('/me/bookmarks', protect, getMyBookmarks);
 router.put('/profile', protect, updateProfile);
 router.put('/change-password', protect, changePassword);
 
@@ -0,0 +1,12 @@
+// authors.js - Author routes
+
+const express = require('express');
+const router = express.Router();
+const { getAuthorFeed } = require('../controllers/feedController');
+
+// Public routes
+router.get('/:id/feed.xml', getAuthorFeed('rss'));
+router.get('/:id/atom.xml', getAuthorFeed('atom'));
+router.get('/:id/feed.json', getAuthorFeed('json'));
+
+module.exports = router;
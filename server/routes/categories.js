@@ -10,6 +10,7 @@ const {
   deleteCategory,
   getPostsByCategory,
 } = require('../controllers/categoryController');
+const { getCategoryFeed } = require('../controllers/feedController');
 const { protect, authorize } = require('../middleware/auth');
 const { validateCategory } = require('../utils/validation');
 
@@ -17,6 +18,9 @@ const { validateCategory } = require('../utils/validation');
 router.get('/', getAllCategories);
 router.get('/:id', getCategory);
 router.get('/:id/posts', getPostsByCategory);
+router.get('/:id/feed.xml', getCategoryFeed('rss'));
+router.get('/:id/atom.xml', getCategoryFeed('atom'));
+router.get('/:id/feed.json', getCategoryFeed('json'));
 
 // Admin routes
 router.post('/', protect, authorize('admin'), validateCategory, createCategory);
@@ -0,0 +1,12 @@
+// feeds.js - Site-wide feed routes
+
+const express = require('express');
+const router = express.Router();
+const { getSiteFeed } = require('../controllers/feedController');
+
+// Public routes
+router.get('/feed.xml', getSiteFeed('rss'));
+router.get('/atom.xml', getSiteFeed('atom'));
+router.get('/feed.json', getSiteFeed('json'));
+
+module.exports = router;
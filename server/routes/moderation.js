@@ -0,0 +1,21 @@
+// moderation.js - Comment moderation routes
+
+const express = require('express');
+const router = express.Router();
+const {
+  getModerationQueue,
+  approveComment,
+  rejectComment,
+  markCommentAsSpam,
+} = require('../controllers/moderationController');
+const { protect, authorize } = require('../middleware/auth');
+
+// Moderator routes
+router.use(protect, authorize('moderator', 'admin'));
+
+router.get('/comments', getModerationQueue);
+router.post('/comments/:id/approve', approveComment);
+router.post('/comments/:id/reject', rejectComment);
+router.post('/comments/:id/spam', markCommentAsSpam);
+
+module.exports = router;
@@ -5,29 +5,93 @@ const router = express.Router();
 const {
   getAllPosts,
   getPost,
+  getTrendingPosts,
+  getRelatedPosts,
   createPost,
   updatePost,
   deletePost,
-  addComment,
   searchPosts,
   getMyPosts,
+  bulkUpdatePosts,
+  getTrash,
+  restorePost,
 } = require('../controllers/postController');
-const { protect, authorize } = require('../middleware/auth');
+const {
+  getRevisions,
+  getRevisionDiff,
+  restoreRevision,
+} = require('../controllers/revisionController');
+const {
+  getComments,
+  addComment,
+  addReply,
+  updateComment,
+  deleteComment,
+} = require('../controllers/commentController');
+const {
+  addReaction,
+  removeReaction,
+  getReactionTypes,
+} = require('../controllers/reactionController');
+const { addBookmark, removeBookmark } = require('../controllers/bookmarkController');
+const {
+  getLock,
+  acquireLock,
+  renewLock,
+  releaseLock,
+} = require('../controllers/lockController');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
 const { uploadSingle } = require('../middleware/upload');
-const { validatePost, validateComment } = require('../utils/validation');
+const {
+  validatePost,
+  validateComment,
+  validateBulkPosts,
+  validateBookmark,
+} = require('../utils/validation');
 
 // Public routes
-router.get('/', getAllPosts);
+router.get('/', optionalAuth, getAllPosts);
 router.get('/search', searchPosts);
-router.get('/:id', getPost);
+router.get('/trending', optionalAuth, getTrendingPosts);
+router.get('/trash', protect, getTrash);
+router.get('/reactions/types', getReactionTypes);
+router.get('/:id', optionalAuth, getPost);
+router.get('/:id/related', getRelatedPosts);
 
 // Protected routes
 router.get('/my-posts', protect, getMyPosts);
 router.post('/', protect, uploadSingle, validatePost, createPost);
+router.post('/bulk', protect, validateBulkPosts, bulkUpdatePosts);
 router.put('/:id', protect, uploadSingle, validatePost, updatePost);
 router.delete('/:id', protect, deletePost);
+router.post('/:id/restore', protect, restorePost);
+
+// Edit lock routes
+router.get('/:id/lock', protect, getLock);
+router.post('/:id/lock', protect, acquireLock);
+router.put('/:id/lock', protect, renewLock);
+router.delete('/:id/lock', protect, releaseLock);
+
+// Revision routes
+router.get('/:id/revisions', protect, getRevisions);
+router.get('/:id/revisions/:rev/diff', protect, getRevisionDiff);
+router.post('/:id/revisions/:rev/restore', protect, restoreRevision);
 
 // Comment routes
+router.get('/:id/comments', optionalAuth, getComments);
 router.post('/:id/comments', protect, validateComment, addComment);
+router.post('/:id/comments/:commentId/replies', protect, validateComment, addReply);
+router.put('/:id/comments/:commentId', protect, validateComment, updateComment);
+router.delete('/:id/comments/:commentId', protect, deleteComment);
+
+// Reaction routes
+router.post('/:id/reactions', protect, addReaction);
+router.delete('/:id/reactions', protect, removeReaction);
+router.post('/:id/comments/:commentId/reactions', protect, addReaction);
+router.delete('/:id/comments/:commentId/reactions', protect, removeReaction);
+
+// Bookmark routes
+router.post('/:id/bookmark', protect, validateBookmark, addBookmark);
+router.delete('/:id/bookmark', protect, validateBookmark, removeBookmark);
 
 module.exports = router; 
\ No newline at end of file
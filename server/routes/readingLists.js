@@ -0,0 +1,37 @@
+// readingLists.js - Reading list routes
+
+const express = require('express');
+const router = express.Router();
+const {
+  getMyReadingLists,
+  getReadingList,
+  getSharedReadingList,
+  createReadingList,
+  updateReadingList,
+  deleteReadingList,
+  addPostToReadingList,
+  removePostFromReadingList,
+  reorderReadingList,
+} = require('../controllers/readingListController');
+const { protect } = require('../middleware/auth');
+const {
+  validateReadingList,
+  validateReadingListUpdate,
+  validateReadingListPost,
+  validateReadingListOrder,
+} = require('../utils/validation');
+
+// Public routes
+router.get('/shared/:token', getSharedReadingList);
+
+// Protected routes
+router.get('/', protect, getMyReadingLists);
+router.post('/', protect, validateReadingList, createReadingList);
+router.get('/:id', protect, getReadingList);
+router.put('/:id', protect, validateReadingListUpdate, updateReadingList);
+router.delete('/:id', protect, deleteReadingList);
+router.post('/:id/posts', protect, validateReadingListPost, addPostToReadingList);
+router.put('/:id/posts/order', protect, validateReadingListOrder, reorderReadingList);
+router.delete('/:id/posts/:postId', protect, removePostFromReadingList);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+// seo.js - Sitemap and robots.txt routes
+
+const express = require('express');
+const router = express.Router();
+const {
+  getSitemap,
+  getPostSitemap,
+  getCategorySitemap,
+  getRobots,
+} = require('../controllers/seoController');
+
+// Public routes
+router.get('/sitemap.xml', getSitemap);
+router.get('/sitemaps/categories.xml', getCategorySitemap);
+router.get('/sitemaps/posts-:page.xml', getPostSitemap);
+router.get('/robots.txt', getRobots);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+// series.js - Post series routes
+
+const express = require('express');
+const router = express.Router();
+const {
+  getAllSeries,
+  getSeries,
+  createSeries,
+  updateSeries,
+  deleteSeries,
+  addPostToSeries,
+  removePostFromSeries,
+  reorderSeries,
+} = require('../controllers/seriesController');
+const { protect, optionalAuth } = require('../middleware/auth');
+const {
+  validateSeries,
+  validateSeriesPost,
+  validateSeriesOrder,
+} = require('../utils/validation');
+
+// Public routes
+router.get('/', getAllSeries);
+router.get('/:id', optionalAuth, getSeries);
+
+// Protected routes
+router.post('/', protect, validateSeries, createSeries);
+router.put('/:id', protect, validateSeries, updateSeries);
+router.delete('/:id', protect, deleteSeries);
+router.post('/:id/posts', protect, validateSeriesPost, addPostToSeries);
+router.put('/:id/posts/order', protect, validateSeriesOrder, reorderSeries);
+router.delete('/:id/posts/:postId', protect, removePostFromSeries);
+
+module.exports = router;
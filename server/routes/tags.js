@@ -0,0 +1,20 @@
+// tags.js - Tag routes
+
+const express = require('express');
+const router = express.Router();
+const {
+  getAllTags,
+  getPostsByTag,
+  renameTags,
+} = require('../controllers/tagController');
+const { protect, authorize } = require('../middleware/auth');
+const { validateTagRename } = require('../utils/validation');
+
+// Public routes
+router.get('/', getAllTags);
+router.get('/:slug/posts', getPostsByTag);
+
+// Admin routes
+router.post('/rename', protect, authorize('admin'), validateTagRename, renameTags);
+
+module.exports = router;
@@ -7,13 +7,24 @@ const cors = require('cors');
 const dotenv = require('dotenv');
 const path = require('path');
 
+// Load environment variables before the modules below read their settings
+dotenv.config();
+
 // Import routes
 const postRoutes = require('./routes/posts');
 const categoryRoutes = require('./routes/categories');
 const authRoutes = require('./routes/auth');
+const tagRoutes = require('./routes/tags');
+const authorRoutes = require('./routes/authors');
+const moderationRoutes = require('./routes/moderation');
+const readingListRoutes = require('./routes/readingLists');
+const analyticsRoutes = require('./routes/analytics');
+const seriesRoutes = require('./routes/series');
+const feedRoutes = require('./routes/feeds');
+const seoRoutes = require('./routes/seo');
 
-// Load environment variables
-dotenv.config();
+// Import background jobs
+const startJobs = require('./jobs');
 
 // Initialize Express app
 const app = express();
@@ -39,6 +50,16 @@ if (process.env.NODE_ENV === 'development') {
 app.use('/api/posts', postRoutes);
 app.use('/api/categories', categoryRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/authors', authorRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/reading-lists', readingListRoutes);
+app.use('/api/analytics', analyticsRoutes);
+app.use('/api/series', seriesRoutes);
+
+// Feed, sitemap and robots.txt routes
+app.use('/', feedRoutes);
+app.use('/', seoRoutes);
 
 // Root route
 app.get('/', (req, res) => {
@@ -59,6 +80,7 @@ mongoose
   .connect(process.env.MONGODB_URI)
   .then(() => {
     console.log('Connected to MongoDB');
+    startJobs();
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
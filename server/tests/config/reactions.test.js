@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const Reaction = require('../../models/Reaction');
+const { DEFAULT_REACTION_TYPES, getReactionTypes } = require('../../config/reactions');
+const reactionController = require('../../controllers/reactionController');
+
+// Reaction with a given type, with the other required fields filled in
+const buildReaction = (type) =>
+  new Reaction({
+    user: new mongoose.Types.ObjectId(),
+    targetType: 'Post',
+    target: new mongoose.Types.ObjectId(),
+    type,
+  });
+
+describe('reaction types', () => {
+  const original = process.env.REACTION_TYPES;
+
+  afterEach(() => {
+    if (original === undefined) {
+      delete process.env.REACTION_TYPES;
+    } else {
+      process.env.REACTION_TYPES = original;
+    }
+  });
+
+  it('uses the built-in set by default', () => {
+    delete process.env.REACTION_TYPES;
+    expect(getReactionTypes()).toEqual(DEFAULT_REACTION_TYPES);
+  });
+
+  it('honours REACTION_TYPES set after the modules were loaded, keeping like', () => {
+    process.env.REACTION_TYPES = 'clap, Fire, not valid!';
+    expect(getReactionTypes()).toEqual(['like', 'clap', 'fire']);
+  });
+
+  it('validates reactions against the configured set', () => {
+    process.env.REACTION_TYPES = 'like,clap';
+
+    expect(buildReaction('clap').validateSync()).toBeUndefined();
+    expect(buildReaction('love').validateSync().errors.type.message).toBe(
+      'love is not a reaction type'
+    );
+  });
+
+  it('lists the configured set from the types endpoint', () => {
+    process.env.REACTION_TYPES = 'like,clap';
+    const res = { json: jest.fn() };
+
+    reactionController.getReactionTypes({}, res);
+
+    expect(res.json).toHaveBeenCalledWith({ success: true, data: ['like', 'clap'] });
+  });
+});
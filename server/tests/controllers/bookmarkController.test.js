@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Post = require('../../models/Post');
+const Bookmark = require('../../models/Bookmark');
+const { getMyBookmarks } = require('../../controllers/bookmarkController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Bookmark.find(...).populate(...).sort(...).skip(...).limit(...) resolving to bookmarks
+const mockBookmarkFind = (bookmarks) => {
+  const query = {};
+  ['populate', 'sort', 'skip'].forEach((method) => {
+    query[method] = jest.fn(() => query);
+  });
+  query.limit = jest.fn().mockResolvedValue(bookmarks);
+  return jest.spyOn(Bookmark, 'find').mockReturnValue(query);
+};
+
+describe('getMyBookmarks', () => {
+  const user = { _id: new mongoose.Types.ObjectId() };
+  const visibleId = new mongoose.Types.ObjectId();
+  const hiddenId = new mongoose.Types.ObjectId();
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('counts only bookmarks of posts readers can see', async () => {
+    jest.spyOn(Bookmark, 'distinct').mockResolvedValue([visibleId, hiddenId]);
+    const postDistinct = jest.spyOn(Post, 'distinct').mockResolvedValue([visibleId]);
+    const find = mockBookmarkFind([
+      {
+        post: { toJSON: () => ({ _id: visibleId, title: 'Visible' }) },
+        createdAt: new Date('2026-01-01'),
+      },
+    ]);
+    const count = jest.spyOn(Bookmark, 'countDocuments').mockResolvedValue(1);
+    const res = mockResponse();
+
+    await getMyBookmarks({ query: {}, user }, res);
+
+    const [, visibleFilter] = postDistinct.mock.calls[0];
+    expect(visibleFilter).toMatchObject({ _id: { $in: [visibleId, hiddenId] } });
+    const query = { user: user._id, post: { $in: [visibleId] } };
+    expect(find).toHaveBeenCalledWith(query);
+    expect(count).toHaveBeenCalledWith(query);
+
+    const body = res.json.mock.calls[0][0];
+    expect(body.data).toHaveLength(1);
+    expect(body.pagination).toMatchObject({ totalPosts: 1, totalPages: 1 });
+  });
+});
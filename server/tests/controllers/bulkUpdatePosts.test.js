@@ -0,0 +1,134 @@
+const mongoose = require('mongoose');
+const Post = require('../../models/Post');
+const Category = require('../../models/Category');
+const PostLock = require('../../models/PostLock');
+const Series = require('../../models/Series');
+const { bulkUpdatePosts } = require('../../controllers/postController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const userId = new mongoose.Types.ObjectId();
+const otherId = new mongoose.Types.ObjectId();
+const user = { _id: userId, role: 'user' };
+
+// A loaded post that reports itself modified once a field is set
+const fakePost = (fields = {}) => {
+  const post = {
+    _id: new mongoose.Types.ObjectId(),
+    author: userId,
+    isPublished: true,
+    tags: [],
+    $locals: {},
+    modified: false,
+    isModified() {
+      return this.modified;
+    },
+    save: jest.fn().mockResolvedValue(),
+    ...fields,
+  };
+  return new Proxy(post, {
+    set(target, key, value) {
+      if (!['$locals', 'modified'].includes(key) && target[key] !== value) {
+        target.modified = true;
+      }
+      target[key] = value;
+      return true;
+    },
+  });
+};
+
+const run = async (body) => {
+  const res = mockResponse();
+  await bulkUpdatePosts({ body, user }, res);
+  return res;
+};
+
+beforeEach(() => {
+  jest.spyOn(PostLock, 'findHeldByOther').mockResolvedValue(null);
+  jest.spyOn(PostLock, 'deleteMany').mockResolvedValue({});
+  jest.spyOn(Series, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('bulkUpdatePosts', () => {
+  it('reports a result per post and keeps going after failures', async () => {
+    const own = fakePost();
+    const unchanged = fakePost({ isPublished: false });
+    const foreign = fakePost({ author: otherId });
+    const locked = fakePost();
+    const failing = fakePost();
+    failing.save.mockRejectedValue(new Error('Validation failed'));
+    const missingId = new mongoose.Types.ObjectId().toString();
+
+    const lock = { user: { _id: otherId } };
+    PostLock.findHeldByOther.mockImplementation(async (postId) =>
+      postId === locked._id ? lock : null
+    );
+    jest.spyOn(Post, 'find').mockResolvedValue([own, unchanged, foreign, locked, failing]);
+
+    const ids = [own, unchanged, foreign, locked, failing].map((post) => post._id.toString());
+    const res = await run({ action: 'unpublish', ids: [...ids, missingId, ids[0]] });
+
+    expect(res.json).toHaveBeenCalledWith({
+      success: true,
+      data: {
+        action: 'unpublish',
+        results: [
+          { id: ids[0], success: true, changed: true },
+          { id: ids[1], success: true, changed: false },
+          { id: ids[2], success: false, error: 'Not authorized to update this post' },
+          { id: ids[3], success: false, error: 'Post is being edited by someone else', lock },
+          { id: ids[4], success: false, error: 'Validation failed' },
+          { id: missingId, success: false, error: 'Post not found' },
+        ],
+        succeeded: 2,
+        failed: 4,
+      },
+    });
+    expect(own.save).toHaveBeenCalledTimes(1);
+    expect(unchanged.save).not.toHaveBeenCalled();
+    expect(locked.save).not.toHaveBeenCalled();
+    expect(own.$locals.editedBy).toBe(userId);
+  });
+
+  it('does not trash a post someone else has locked', async () => {
+    const locked = fakePost();
+    PostLock.findHeldByOther.mockResolvedValue({ user: { _id: otherId } });
+    jest.spyOn(Post, 'find').mockResolvedValue([locked]);
+
+    const res = await run({ action: 'delete', ids: [locked._id.toString()] });
+
+    expect(locked.deletedAt).toBeUndefined();
+    expect(locked.save).not.toHaveBeenCalled();
+    expect(res.json.mock.calls[0][0].data.failed).toBe(1);
+  });
+
+  it('trashes posts and releases their locks', async () => {
+    const post = fakePost();
+    jest.spyOn(Post, 'find').mockResolvedValue([post]);
+
+    await run({ action: 'delete', ids: [post._id.toString()] });
+
+    expect(post.deletedAt).toBeInstanceOf(Date);
+    expect(post.deletedBy).toBe(userId);
+    expect(PostLock.deleteMany).toHaveBeenCalledWith({ post: post._id });
+  });
+
+  it('rejects a move to a category that does not exist', async () => {
+    jest.spyOn(Category, 'exists').mockResolvedValue(null);
+    const find = jest.spyOn(Post, 'find');
+
+    const res = await run({ action: 'move', ids: ['x'], category: new mongoose.Types.ObjectId() });
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(find).not.toHaveBeenCalled();
+  });
+});
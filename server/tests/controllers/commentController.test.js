@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const Post = require('../../models/Post');
+const Comment = require('../../models/Comment');
+const { deleteComment } = require('../../controllers/commentController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Post.findById(...).setOptions(...).select(...) resolving to post
+const mockPostLookup = (post) => {
+  const select = jest.fn().mockResolvedValue(post);
+  const setOptions = jest.fn(() => ({ select }));
+  jest.spyOn(Post, 'findById').mockReturnValue({ setOptions });
+  return setOptions;
+};
+
+describe('deleteComment', () => {
+  const commenterId = new mongoose.Types.ObjectId();
+  const postAuthorId = new mongoose.Types.ObjectId();
+  const postId = new mongoose.Types.ObjectId();
+  let comment;
+
+  beforeEach(() => {
+    comment = {
+      _id: new mongoose.Types.ObjectId(),
+      post: postId,
+      author: commenterId,
+      status: 'approved',
+      isRemoved: false,
+      save: jest.fn().mockResolvedValue(),
+    };
+    jest.spyOn(Comment, 'findOne').mockResolvedValue(comment);
+    jest.spyOn(Comment, 'adjustCounts').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const remove = async (user) => {
+    const res = mockResponse();
+    await deleteComment(
+      { params: { id: postId.toString(), commentId: comment._id.toString() }, user },
+      res
+    );
+    return res;
+  };
+
+  it('lets the post author remove comments on a trashed post', async () => {
+    const setOptions = mockPostLookup({ author: postAuthorId });
+
+    const res = await remove({ _id: postAuthorId, role: 'user' });
+
+    expect(setOptions).toHaveBeenCalledWith({ withDeleted: true });
+    expect(res.json).toHaveBeenCalledWith({ success: true, message: 'Comment removed successfully' });
+    expect(comment.isRemoved).toBe(true);
+    expect(Comment.adjustCounts).toHaveBeenCalledWith(comment, -1);
+  });
+
+  it('lets the commenter remove a comment whose post is gone', async () => {
+    mockPostLookup(null);
+
+    const res = await remove({ _id: commenterId, role: 'user' });
+
+    expect(res.status).not.toHaveBeenCalled();
+    expect(comment.isRemoved).toBe(true);
+  });
+
+  it('refuses other users when the post is gone', async () => {
+    mockPostLookup(null);
+
+    const res = await remove({ _id: new mongoose.Types.ObjectId(), role: 'user' });
+
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(comment.save).not.toHaveBeenCalled();
+  });
+});
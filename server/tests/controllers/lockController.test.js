@@ -0,0 +1,166 @@
+const mongoose = require('mongoose');
+const Post = require('../../models/Post');
+const PostLock = require('../../models/PostLock');
+const PostRevision = require('../../models/PostRevision');
+const { acquireLock, renewLock } = require('../../controllers/lockController');
+const { updatePost, deletePost } = require('../../controllers/postController');
+const { restoreRevision } = require('../../controllers/revisionController');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  return res;
+};
+
+const authorId = new mongoose.Types.ObjectId();
+const editorId = new mongoose.Types.ObjectId();
+const postId = new mongoose.Types.ObjectId();
+const author = { _id: authorId, role: 'user' };
+const heldByEditor = { user: { _id: editorId }, expiresAt: new Date(Date.now() + 60000) };
+
+const post = { _id: postId, author: authorId, save: jest.fn() };
+
+// Post.findById resolving to post, whether or not the caller chains select()
+const mockPost = () => {
+  const query = Promise.resolve(post);
+  query.select = jest.fn().mockResolvedValue(post);
+  jest.spyOn(Post, 'findById').mockReturnValue(query);
+};
+
+const expectLocked = (res) => {
+  expect(res.status).toHaveBeenCalledWith(423);
+  expect(res.json).toHaveBeenCalledWith({
+    success: false,
+    error: 'Post is being edited by someone else',
+    lock: heldByEditor,
+  });
+};
+
+beforeEach(() => {
+  mockPost();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.EDIT_LOCK_TTL_SECONDS;
+});
+
+describe('acquireLock', () => {
+  it('takes the lock for the configured TTL', async () => {
+    process.env.EDIT_LOCK_TTL_SECONDS = '30';
+    const acquire = jest.spyOn(PostLock, 'acquire').mockResolvedValue({ user: author });
+    const res = mockResponse();
+
+    await acquireLock({ params: { id: postId.toString() }, user: author, body: {} }, res);
+
+    expect(acquire).toHaveBeenCalledWith(postId, authorId, 30, false);
+    expect(res.json).toHaveBeenCalledWith({ success: true, data: { user: author } });
+  });
+
+  it('answers 423 with the holder when someone else has it', async () => {
+    jest.spyOn(PostLock, 'acquire').mockResolvedValue(null);
+    jest.spyOn(PostLock, 'findActive').mockResolvedValue(heldByEditor);
+    const res = mockResponse();
+
+    await acquireLock({ params: { id: postId.toString() }, user: author, body: {} }, res);
+
+    expectLocked(res);
+  });
+
+  it('only lets admins force a takeover', async () => {
+    const acquire = jest.spyOn(PostLock, 'acquire').mockResolvedValue({});
+
+    await acquireLock(
+      { params: { id: postId.toString() }, user: author, body: { force: true } },
+      mockResponse()
+    );
+    await acquireLock(
+      { params: { id: postId.toString() }, user: { _id: editorId, role: 'admin' }, body: { force: true } },
+      mockResponse()
+    );
+
+    expect(acquire.mock.calls[0][3]).toBe(false);
+    expect(acquire.mock.calls[1][3]).toBe(true);
+  });
+});
+
+describe('renewLock', () => {
+  it('extends a lock the user holds', async () => {
+    const renew = jest.spyOn(PostLock, 'renew').mockResolvedValue({ user: author });
+    const res = mockResponse();
+
+    await renewLock({ params: { id: postId.toString() }, user: author }, res);
+
+    expect(renew).toHaveBeenCalledWith(postId.toString(), authorId, 120);
+    expect(res.json).toHaveBeenCalledWith({ success: true, data: { user: author } });
+  });
+
+  it('answers 409 once the lock has expired', async () => {
+    jest.spyOn(PostLock, 'renew').mockResolvedValue(null);
+    jest.spyOn(PostLock, 'findActive').mockResolvedValue(null);
+    const res = mockResponse();
+
+    await renewLock({ params: { id: postId.toString() }, user: author }, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  it('answers 423 when someone else took the lock over', async () => {
+    jest.spyOn(PostLock, 'renew').mockResolvedValue(null);
+    jest.spyOn(PostLock, 'findActive').mockResolvedValue(heldByEditor);
+    const res = mockResponse();
+
+    await renewLock({ params: { id: postId.toString() }, user: author }, res);
+
+    expectLocked(res);
+  });
+});
+
+describe('writes to a locked post', () => {
+  beforeEach(() => {
+    jest.spyOn(PostLock, 'findActive').mockResolvedValue(heldByEditor);
+  });
+
+  it('refuses updates', async () => {
+    const res = mockResponse();
+    const req = {
+      params: { id: postId.toString() },
+      user: author,
+      body: { title: 'New' },
+      get: () => '"3"',
+    };
+
+    await updatePost(req, res);
+
+    expectLocked(res);
+    expect(post.save).not.toHaveBeenCalled();
+  });
+
+  it('refuses moving the post to the trash', async () => {
+    const update = jest.spyOn(Post, 'updateOne');
+    const res = mockResponse();
+
+    await deletePost({ params: { id: postId.toString() }, user: author }, res);
+
+    expectLocked(res);
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('refuses restoring a revision', async () => {
+    jest.spyOn(PostRevision, 'findOne').mockReturnValue({
+      populate: () => ({ populate: jest.fn().mockResolvedValue({ rev: 2, title: 'Old' }) }),
+    });
+    const res = mockResponse();
+
+    await restoreRevision({ params: { id: postId.toString(), rev: '2' }, user: author }, res);
+
+    expectLocked(res);
+    expect(post.save).not.toHaveBeenCalled();
+  });
+
+  it('lets the lock holder through', async () => {
+    await expect(PostLock.findHeldByOther(postId, editorId)).resolves.toBeNull();
+  });
+});
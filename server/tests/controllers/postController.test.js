@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const Post = require('../../models/Post');
+const PostLock = require('../../models/PostLock');
+const Series = require('../../models/Series');
+const { getAllPosts, updatePost, restorePost } = require('../../controllers/postController');
+
+// Minimal Express response that records the status and JSON body
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  res.set = jest.fn(() => res);
+  return res;
+};
+
+describe('getAllPosts', () => {
+  it('rejects a search made only of exclusions', async () => {
+    const res = mockResponse();
+
+    await getAllPosts({ query: { search: '-draft' } }, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({
+      success: false,
+      error: 'Search query must include at least one word or phrase',
+    });
+  });
+});
+
+describe('restorePost', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('clears the trash fields and puts the post back in its series', async () => {
+    const userId = new mongoose.Types.ObjectId();
+    const seriesId = new mongoose.Types.ObjectId();
+    const post = {
+      _id: new mongoose.Types.ObjectId(),
+      author: userId,
+      trashedFrom: { series: seriesId, position: 2 },
+    };
+    jest.spyOn(Post, 'findOne').mockResolvedValue(post);
+    const updatePost = jest.spyOn(Post, 'updateOne').mockResolvedValue({});
+    const updateSeries = jest.spyOn(Series, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Post, 'findById').mockReturnValue({
+      populate: () => ({ populate: jest.fn().mockResolvedValue(post) }),
+    });
+    const res = mockResponse();
+
+    await restorePost({ params: { id: post._id.toString() }, user: { _id: userId, role: 'user' } }, res);
+
+    expect(updatePost).toHaveBeenCalledWith(
+      { _id: post._id },
+      { $set: { deletedAt: null }, $unset: { deletedBy: 1, trashedFrom: 1 } }
+    );
+    expect(updateSeries).toHaveBeenCalledWith(
+      { _id: seriesId, posts: { $ne: post._id } },
+      { $push: { posts: { $each: [post._id], $position: 2 } } }
+    );
+    expect(res.json).toHaveBeenCalledWith({ success: true, data: post, message: 'Post restored' });
+  });
+});
+
+describe('updatePost preconditions', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const post = {
+    _id: new mongoose.Types.ObjectId(),
+    author: userId,
+    __v: 3,
+    save: jest.fn(),
+  };
+  const current = { ...post, title: 'Saved by someone else', __v: 4 };
+  let heldLock;
+
+  beforeEach(() => {
+    heldLock = null;
+    post.save.mockClear();
+    jest.spyOn(Post, 'findById').mockImplementation(() => {
+      // Loading the post to edit, or the current copy sent back with a 409
+      const query = Promise.resolve(post);
+      query.populate = () => ({ populate: jest.fn().mockResolvedValue(current) });
+      return query;
+    });
+    jest.spyOn(PostLock, 'findHeldByOther').mockImplementation(async () => heldLock);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const update = async (ifMatch) => {
+    const res = mockResponse();
+    await updatePost(
+      {
+        params: { id: post._id.toString() },
+        body: { title: 'Edited' },
+        user: { _id: userId, role: 'user' },
+        get: (header) => (header === 'If-Match' ? ifMatch : undefined),
+      },
+      res
+    );
+    return res;
+  };
+
+  it('requires an If-Match header', async () => {
+    const res = await update(undefined);
+
+    expect(res.status).toHaveBeenCalledWith(428);
+    expect(post.save).not.toHaveBeenCalled();
+  });
+
+  it('rejects an unreadable If-Match header', async () => {
+    const res = await update('"latest"');
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json).toHaveBeenCalledWith({ success: false, error: 'Invalid If-Match header' });
+  });
+
+  it('returns the current post when the version is stale', async () => {
+    const res = await update('W/"2"');
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.set).toHaveBeenCalledWith('ETag', '"4"');
+    expect(res.json.mock.calls[0][0]).toMatchObject({ success: false, data: current });
+    expect(post.save).not.toHaveBeenCalled();
+  });
+
+  it('reports the edit lock before checking the header', async () => {
+    heldLock = { user: { _id: new mongoose.Types.ObjectId() } };
+
+    for (const ifMatch of [undefined, '"latest"', '"2"']) {
+      const res = await update(ifMatch);
+      expect(res.status).toHaveBeenCalledWith(423);
+    }
+  });
+
+  it('treats an empty If-Match header as missing', async () => {
+    const res = await update('');
+
+    expect(res.status).toHaveBeenCalledWith(428);
+  });
+});
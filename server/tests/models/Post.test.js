@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+const Post = require('../../models/Post');
+const PostRevision = require('../../models/PostRevision');
+
+describe('Post.publishDuePosts', () => {
+  it('only publishes due posts that are not in the trash', () => {
+    const now = new Date('2024-03-01T12:00:00Z');
+    const query = Post.publishDuePosts(now);
+
+    const filter = query.getFilter();
+
+    expect(filter).toMatchObject({ isPublished: true, publishedAt: null, deletedAt: null });
+    expect(filter.$or).toEqual(
+      expect.arrayContaining([{ publishAt: null }, { publishAt: { $lte: now } }])
+    );
+  });
+});
+
+describe('Post revisions', () => {
+  let post;
+  let updateOne;
+  let record;
+
+  beforeEach(() => {
+    post = Post.hydrate({
+      _id: new mongoose.Types.ObjectId(),
+      title: 'Original title',
+      content: 'Original content',
+      slug: 'original-title',
+      author: new mongoose.Types.ObjectId(),
+      category: new mongoose.Types.ObjectId(),
+      tags: [],
+      __v: 2,
+    });
+    updateOne = jest.spyOn(Post.collection, 'updateOne');
+    record = jest.spyOn(PostRevision, 'record').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('snapshots the previous version once the save succeeds', async () => {
+    updateOne.mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+
+    post.content = 'Edited content';
+    await post.save();
+
+    expect(record).toHaveBeenCalledTimes(1);
+    expect(record).toHaveBeenCalledWith(
+      post._id,
+      expect.objectContaining({ title: 'Original title', content: 'Original content' })
+    );
+  });
+
+  it('writes no revision when the save loses a version conflict', async () => {
+    updateOne.mockResolvedValue({ matchedCount: 0, modifiedCount: 0 });
+
+    post.content = 'Edited content';
+    await expect(post.save()).rejects.toThrow(mongoose.Error.VersionError);
+
+    expect(record).not.toHaveBeenCalled();
+  });
+
+  it('skips the snapshot when no revisioned field changed', async () => {
+    updateOne.mockResolvedValue({ matchedCount: 1, modifiedCount: 1 });
+
+    post.featuredImage = 'cover.jpg';
+    await post.save();
+
+    expect(record).not.toHaveBeenCalled();
+  });
+});
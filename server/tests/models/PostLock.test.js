@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const PostLock = require('../../models/PostLock');
+
+const postId = new mongoose.Types.ObjectId();
+const userId = new mongoose.Types.ObjectId();
+
+// Stand in for a query whose populate() resolves to result
+const mockQuery = (result) => ({ populate: jest.fn().mockResolvedValue(result) });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+describe('PostLock.findActive', () => {
+  it('ignores locks that have expired', async () => {
+    jest.useFakeTimers({ now: new Date('2024-03-01T12:00:00Z') });
+    const findOne = jest.spyOn(PostLock, 'findOne').mockReturnValue(mockQuery(null));
+
+    await PostLock.findActive(postId);
+
+    expect(findOne).toHaveBeenCalledWith({
+      post: postId,
+      expiresAt: { $gt: new Date('2024-03-01T12:00:00Z') },
+    });
+  });
+});
+
+describe('PostLock.acquire', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2024-03-01T12:00:00Z') });
+  });
+
+  it('takes a free, expired or own lock for the TTL', async () => {
+    const update = jest.spyOn(PostLock, 'findOneAndUpdate').mockReturnValue(mockQuery({}));
+
+    await PostLock.acquire(postId, userId, 120);
+
+    const [filter, change, options] = update.mock.calls[0];
+    expect(filter).toEqual({
+      post: postId,
+      $or: [{ user: userId }, { expiresAt: { $lte: new Date('2024-03-01T12:00:00Z') } }],
+    });
+    expect(change.$set.expiresAt).toEqual(new Date('2024-03-01T12:02:00Z'));
+    expect(options).toEqual({ new: true, upsert: true });
+  });
+
+  it('takes over any lock when forced', async () => {
+    const update = jest.spyOn(PostLock, 'findOneAndUpdate').mockReturnValue(mockQuery({}));
+
+    await PostLock.acquire(postId, userId, 120, true);
+
+    expect(update.mock.calls[0][0]).toEqual({ post: postId });
+  });
+
+  it('returns null when another user holds an active lock', async () => {
+    const duplicate = Object.assign(new Error('E11000'), { code: 11000 });
+    jest.spyOn(PostLock, 'findOneAndUpdate').mockReturnValue({
+      populate: jest.fn().mockRejectedValue(duplicate),
+    });
+
+    await expect(PostLock.acquire(postId, userId, 120)).resolves.toBeNull();
+  });
+});
+
+describe('PostLock.renew', () => {
+  it('only extends an unexpired lock the user holds', async () => {
+    jest.useFakeTimers({ now: new Date('2024-03-01T12:00:00Z') });
+    const update = jest.spyOn(PostLock, 'findOneAndUpdate').mockReturnValue(mockQuery({}));
+
+    await PostLock.renew(postId, userId, 60);
+
+    expect(update).toHaveBeenCalledWith(
+      { post: postId, user: userId, expiresAt: { $gt: new Date('2024-03-01T12:00:00Z') } },
+      { $set: { expiresAt: new Date('2024-03-01T12:01:00Z') } },
+      { new: true }
+    );
+  });
+});
+
+describe('PostLock.findHeldByOther', () => {
+  it('returns the lock only when someone else holds it', async () => {
+    const otherId = new mongoose.Types.ObjectId();
+    jest.spyOn(PostLock, 'findActive').mockResolvedValue({ user: { _id: otherId } });
+
+    await expect(PostLock.findHeldByOther(postId, userId)).resolves.toEqual({ user: { _id: otherId } });
+    await expect(PostLock.findHeldByOther(postId, otherId)).resolves.toBeNull();
+  });
+
+  it('returns null when there is no active lock', async () => {
+    jest.spyOn(PostLock, 'findActive').mockResolvedValue(null);
+    await expect(PostLock.findHeldByOther(postId, userId)).resolves.toBeNull();
+  });
+});
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const PostRevision = require('../../models/PostRevision');
+
+describe('PostRevision.record', () => {
+  const postId = new mongoose.Types.ObjectId();
+  const snapshot = { title: 'Title', content: 'Content' };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const duplicateRev = () => Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+
+  it('stores the snapshot under the next revision number', async () => {
+    jest.spyOn(PostRevision, 'nextRevisionNumber').mockResolvedValue(3);
+    const create = jest.spyOn(PostRevision, 'create').mockImplementation(async (doc) => doc);
+
+    await expect(PostRevision.record(postId, snapshot)).resolves.toMatchObject({ rev: 3 });
+    expect(create).toHaveBeenCalledWith({ ...snapshot, post: postId, rev: 3 });
+  });
+
+  it('picks a new number when a concurrent save took the same one', async () => {
+    jest.spyOn(PostRevision, 'nextRevisionNumber').mockResolvedValueOnce(3).mockResolvedValueOnce(4);
+    const create = jest
+      .spyOn(PostRevision, 'create')
+      .mockRejectedValueOnce(duplicateRev())
+      .mockImplementation(async (doc) => doc);
+
+    await expect(PostRevision.record(postId, snapshot)).resolves.toMatchObject({ rev: 4 });
+    expect(create).toHaveBeenCalledTimes(2);
+  });
+
+  it('gives up after repeated conflicts', async () => {
+    jest.spyOn(PostRevision, 'nextRevisionNumber').mockResolvedValue(3);
+    const create = jest.spyOn(PostRevision, 'create').mockRejectedValue(duplicateRev());
+
+    await expect(PostRevision.record(postId, snapshot)).rejects.toMatchObject({ code: 11000 });
+    expect(create).toHaveBeenCalledTimes(5);
+  });
+
+  it('does not retry other errors', async () => {
+    jest.spyOn(PostRevision, 'nextRevisionNumber').mockResolvedValue(3);
+    const create = jest.spyOn(PostRevision, 'create').mockRejectedValue(new Error('boom'));
+
+    await expect(PostRevision.record(postId, snapshot)).rejects.toThrow('boom');
+    expect(create).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const Post = require('../../models/Post');
+const PostLock = require('../../models/PostLock');
+const Series = require('../../models/Series');
+const { releaseTrashedPost, reinstateRestoredPost } = require('../../utils/purgePost');
+
+const makePart = (title) => ({
+  _id: new mongoose.Types.ObjectId(),
+  title,
+  slug: title.toLowerCase().replace(/\s+/g, '-'),
+});
+
+describe('series parts when a post is trashed', () => {
+  const parts = [makePart('Part one'), makePart('Part two'), makePart('Part three')];
+  const trashed = new Set();
+  let series;
+
+  beforeEach(() => {
+    trashed.clear();
+    series = {
+      _id: new mongoose.Types.ObjectId(),
+      title: 'Guide',
+      slug: 'guide',
+      posts: parts.map((part) => part._id),
+    };
+
+    // A single in-memory series and the posts readers can see
+    jest.spyOn(Series, 'findOne').mockImplementation(({ posts }) => ({
+      select: async () => (series.posts.some((id) => id.equals(posts)) ? series : null),
+    }));
+    jest.spyOn(Series, 'updateOne').mockImplementation(async (filter, update) => {
+      if (update.$pull) {
+        series.posts = series.posts.filter((id) => !id.equals(update.$pull.posts));
+      }
+      if (update.$push) {
+        const { $each, $position } = update.$push.posts;
+        series.posts.splice($position, 0, ...$each);
+      }
+    });
+    jest.spyOn(Post, 'find').mockImplementation(() => ({
+      select: async () => parts.filter((part) => !trashed.has(part._id.toString())),
+    }));
+    jest.spyOn(Post, 'updateOne').mockResolvedValue({});
+    jest.spyOn(PostLock, 'deleteMany').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const trash = async (part) => {
+    trashed.add(part._id.toString());
+    await releaseTrashedPost(part);
+    const [, update] = Post.updateOne.mock.calls.at(-1);
+    return update.$set.trashedFrom;
+  };
+
+  it('drops the trashed part and renumbers the rest', async () => {
+    await trash(parts[1]);
+
+    expect(series.posts).toEqual([parts[0]._id, parts[2]._id]);
+    await expect(Series.navigationFor(parts[2])).resolves.toMatchObject({
+      part: 2,
+      totalParts: 2,
+      previous: { _id: parts[0]._id },
+      next: null,
+    });
+    await expect(Series.navigationFor(parts[1])).resolves.toBeNull();
+  });
+
+  it('puts a restored part back in its place', async () => {
+    const trashedFrom = await trash(parts[1]);
+    trashed.delete(parts[1]._id.toString());
+
+    await reinstateRestoredPost({ _id: parts[1]._id, trashedFrom });
+
+    expect(series.posts).toEqual(parts.map((part) => part._id));
+    await expect(Series.navigationFor(parts[1])).resolves.toMatchObject({ part: 2, totalParts: 3 });
+  });
+});
@@ -0,0 +1,91 @@
+const { validationResult } = require('express-validator');
+const {
+  MAX_RANGE_DAYS,
+  isRangeWithinLimit,
+  getDateRange,
+  getDayKeys,
+  fillDays,
+  countsToObject,
+} = require('../../utils/analytics');
+const { validateDateRange } = require('../../utils/validation');
+
+// Run the validator chains (everything but the error handler) against a query
+const validateQuery = async (query) => {
+  const req = { query, body: {} };
+  for (const chain of validateDateRange.slice(0, -1)) {
+    await chain.run(req);
+  }
+  return validationResult(req).array().map((error) => error.msg);
+};
+
+describe('getDateRange', () => {
+  it('includes the whole day of a bare to date', () => {
+    expect(getDateRange({ from: '2024-03-01', to: '2024-03-31' })).toEqual({
+      from: new Date('2024-03-01T00:00:00Z'),
+      to: new Date('2024-04-01T00:00:00Z'),
+    });
+  });
+
+  it('defaults to the last 30 days', () => {
+    const { from, to } = getDateRange({ to: '2024-03-31' });
+    expect((to - from) / (24 * 60 * 60 * 1000)).toBe(30);
+  });
+
+  it('never reaches back more than the maximum span', () => {
+    const { from, to } = getDateRange({ from: '1970-01-01', to: '2024-03-31' });
+    expect((to - from) / (24 * 60 * 60 * 1000)).toBe(MAX_RANGE_DAYS);
+  });
+});
+
+describe('isRangeWithinLimit', () => {
+  it('allows a full leap year and rejects longer ranges', () => {
+    expect(isRangeWithinLimit({ from: '2024-01-01', to: '2024-12-31' })).toBe(true);
+    expect(isRangeWithinLimit({ from: '2023-12-31', to: '2024-12-31' })).toBe(false);
+    expect(isRangeWithinLimit({})).toBe(true);
+  });
+});
+
+describe('fillDays', () => {
+  it('fills missing days with the empty row', () => {
+    const range = getDateRange({ from: '2024-03-01', to: '2024-03-03' });
+    expect(fillDays(range, [{ date: '2024-03-02', views: 4 }], { views: 0 })).toEqual([
+      { date: '2024-03-01', views: 0 },
+      { date: '2024-03-02', views: 4 },
+      { date: '2024-03-03', views: 0 },
+    ]);
+  });
+
+  it('caps the number of days', () => {
+    const range = { from: new Date('1970-01-01'), to: new Date('2024-01-01') };
+    expect(getDayKeys(range).length).toBe(MAX_RANGE_DAYS + 1);
+  });
+});
+
+describe('countsToObject', () => {
+  it('keys counts by id', () => {
+    expect(countsToObject([{ _id: 'like', count: 2 }, { _id: 'love', count: 1 }])).toEqual({ like: 2, love: 1 });
+  });
+});
+
+describe('validateDateRange', () => {
+  it('accepts ranges up to the maximum span', async () => {
+    await expect(validateQuery({ from: '2024-01-01', to: '2024-12-31' })).resolves.toEqual([]);
+    await expect(validateQuery({})).resolves.toEqual([]);
+  });
+
+  it('rejects ranges longer than the maximum span', async () => {
+    await expect(validateQuery({ from: '2000-01-01', to: '2024-12-31' })).resolves.toEqual([
+      `Date range cannot be longer than ${MAX_RANGE_DAYS} days`,
+    ]);
+    await expect(validateQuery({ from: '2000-01-01' })).resolves.toEqual([
+      `Date range cannot be longer than ${MAX_RANGE_DAYS} days`,
+    ]);
+  });
+
+  it('rejects invalid and reversed dates', async () => {
+    await expect(validateQuery({ from: 'soon' })).resolves.toEqual(['from must be a valid date']);
+    await expect(validateQuery({ from: '2024-02-01', to: '2024-01-01' })).resolves.toEqual([
+      'from must be before to',
+    ]);
+  });
+});
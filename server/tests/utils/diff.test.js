@@ -0,0 +1,50 @@
+const { diffLines, summarizeDiff, MAX_EDIT_DISTANCE } = require('../../utils/diff');
+
+// Rebuild each side of a diff to check it describes the two texts
+const sides = (changes) => ({
+  old: changes.filter((c) => c.type !== 'added').map((c) => c.value),
+  new: changes.filter((c) => c.type !== 'removed').map((c) => c.value),
+});
+
+describe('diffLines', () => {
+  it('marks changed lines and numbers both sides', () => {
+    expect(diffLines('a\nb\nc', 'a\nx\nc')).toEqual([
+      { type: 'equal', value: 'a', oldLine: 1, newLine: 1 },
+      { type: 'removed', value: 'b', oldLine: 2 },
+      { type: 'added', value: 'x', newLine: 2 },
+      { type: 'equal', value: 'c', oldLine: 3, newLine: 3 },
+    ]);
+  });
+
+  it('handles empty texts', () => {
+    expect(diffLines('', '')).toEqual([]);
+    expect(diffLines('', 'a')).toEqual([{ type: 'added', value: 'a', newLine: 1 }]);
+    expect(diffLines('a', undefined)).toEqual([{ type: 'removed', value: 'a', oldLine: 1 }]);
+  });
+
+  it('treats Windows line endings like Unix ones', () => {
+    expect(summarizeDiff(diffLines('a\r\nb', 'a\nb'))).toEqual({ added: 0, removed: 0 });
+  });
+
+  it('finds a minimal diff for scattered edits', () => {
+    const oldLines = Array.from({ length: 300 }, (_, i) => `line ${i}`);
+    const newLines = oldLines.map((line, i) => (i % 10 === 0 ? `changed ${i}` : line));
+    const changes = diffLines(oldLines.join('\n'), newLines.join('\n'));
+
+    expect(summarizeDiff(changes)).toEqual({ added: 30, removed: 30 });
+    expect(sides(changes)).toEqual({ old: oldLines, new: newLines });
+  });
+
+  it('falls back to a full replacement for very different long texts', () => {
+    const count = MAX_EDIT_DISTANCE + 500;
+    const oldText = Array.from({ length: count }, (_, i) => `old ${i}`).join('\n');
+    const newText = Array.from({ length: count }, (_, i) => `new ${i}`).join('\n');
+
+    const started = Date.now();
+    const changes = diffLines(oldText, newText);
+
+    expect(Date.now() - started).toBeLessThan(2000);
+    expect(summarizeDiff(changes)).toEqual({ added: count, removed: count });
+    expect(sides(changes)).toEqual({ old: oldText.split('\n'), new: newText.split('\n') });
+  });
+});
@@ -0,0 +1,129 @@
+const {
+  renderMarkdown,
+  stripMarkdown,
+  countWords,
+  readingTime,
+  makeExcerpt,
+  WORDS_PER_MINUTE,
+} = require('../../utils/markdown');
+
+const SAMPLE = [
+  '# Title',
+  '',
+  'Some **bold** and [a link](http://example.com).',
+  '',
+  '```js',
+  'const a = 1;',
+  '```',
+  '- item',
+].join('\n');
+
+describe('stripMarkdown', () => {
+  it('reduces Markdown to plain text without code blocks', () => {
+    expect(stripMarkdown(SAMPLE)).toBe('Title Some bold and a link. item');
+  });
+
+  it('keeps code when asked to', () => {
+    expect(stripMarkdown(SAMPLE, { keepCode: true })).toContain('const a = 1;');
+  });
+
+  it('handles missing content', () => {
+    expect(stripMarkdown(undefined)).toBe('');
+  });
+});
+
+describe('countWords and readingTime', () => {
+  it('counts words including code', () => {
+    expect(countWords(SAMPLE)).toBe(11);
+    expect(countWords('')).toBe(0);
+  });
+
+  it('rounds reading time up to whole minutes, at least one', () => {
+    expect(readingTime(0)).toBe(1);
+    expect(readingTime(WORDS_PER_MINUTE)).toBe(1);
+    expect(readingTime(WORDS_PER_MINUTE + 1)).toBe(2);
+  });
+});
+
+describe('makeExcerpt', () => {
+  it('keeps short content as is, without headings', () => {
+    expect(makeExcerpt('# Heading\n\nJust one line.')).toBe('Just one line.');
+  });
+
+  it('keeps whole sentences that fit', () => {
+    expect(makeExcerpt('First sentence here. Second one is longer! Third?', 40)).toBe(
+      'First sentence here.'
+    );
+  });
+
+  it('cuts an overlong first sentence at a word boundary', () => {
+    expect(makeExcerpt('word '.repeat(100), 30)).toBe('word word word word word…');
+  });
+});
+
+describe('renderMarkdown', () => {
+  const render = (markdown) => renderMarkdown(markdown).html;
+
+  it('drops scripts, event handlers and unsafe links', () => {
+    const html = render(
+      '<script>alert(1)</script>\n\n<img src="https://example.com/a.png" onerror="alert(1)">\n\n[bad](javascript:alert(1))'
+    );
+
+    expect(html).not.toContain('<script');
+    expect(html).not.toContain('onerror');
+    expect(html).not.toContain('javascript:');
+    expect(html).toContain('<img src="https://example.com/a.png" />');
+  });
+
+  it('marks external links and leaves internal ones alone', () => {
+    expect(render('[ext](https://example.com) [own](/posts/hello)')).toBe(
+      '<p><a href="https://example.com" rel="nofollow noopener noreferrer" target="_blank">ext</a> ' +
+        '<a href="/posts/hello">own</a></p>\n'
+    );
+  });
+
+  it('keeps language classes on fenced code', () => {
+    expect(render('```js\nconst a = 1;\n```')).toBe(
+      '<pre><code class="hljs language-js">const a = 1;\n</code></pre>\n'
+    );
+  });
+
+  it('keeps task list checkboxes but no other inputs', () => {
+    expect(render('- [x] done')).toContain('<input checked disabled type="checkbox" />');
+    expect(render('<input type="text" value="x">')).not.toContain('<input');
+  });
+});
+
+describe('table of contents', () => {
+  it('collects headings with plain-text labels and anchor ids', () => {
+    const { html, toc } = renderMarkdown('# Intro\n\n### Set `up` *now*\n\n## Привет мир');
+
+    expect(toc).toEqual([
+      { level: 1, text: 'Intro', id: 'intro' },
+      { level: 3, text: 'Set up now', id: 'set-up-now' },
+      { level: 2, text: 'Привет мир', id: 'privet-mir' },
+    ]);
+    expect(html).toContain('<h3 id="set-up-now">Set <code>up</code> <em>now</em></h3>');
+  });
+
+  it('numbers repeated headings in document order', () => {
+    const { toc } = renderMarkdown('## Setup\n\n## Setup\n\n## Setup');
+    expect(toc.map((entry) => entry.id)).toEqual(['setup', 'setup-2', 'setup-3']);
+  });
+
+  it('never reuses an id taken by a heading that ends in a number', () => {
+    const before = renderMarkdown('## Foo 2\n\n## Foo\n\n## Foo').toc;
+    expect(before.map((entry) => entry.id)).toEqual(['foo-2', 'foo', 'foo-3']);
+
+    const after = renderMarkdown('## Foo\n\n## Foo\n\n## Foo 2').toc;
+    expect(after.map((entry) => entry.id)).toEqual(['foo', 'foo-2', 'foo-2-2']);
+  });
+
+  it('falls back to a generic id for headings without letters', () => {
+    expect(renderMarkdown('## !!!').toc).toEqual([{ level: 2, text: '!!!', id: 'section' }]);
+  });
+
+  it('returns an empty list when there are no headings', () => {
+    expect(renderMarkdown('Just text.').toc).toEqual([]);
+  });
+});
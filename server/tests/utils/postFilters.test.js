@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const Post = require('../../models/Post');
+const {
+  parseList,
+  buildPostFilters,
+  combineFilters,
+  getPostFacets,
+} = require('../../utils/postFilters');
+
+const categoryId = '64b7f0c2a1b2c3d4e5f60718';
+const otherCategoryId = '64b7f0c2a1b2c3d4e5f60719';
+const authorId = '64b7f0c2a1b2c3d4e5f6071a';
+
+describe('parseList', () => {
+  it('reads comma separated and repeated values', () => {
+    expect(parseList('a, b,,c')).toEqual(['a', 'b', 'c']);
+    expect(parseList(['a,b', 'c'])).toEqual(['a', 'b', 'c']);
+    expect(parseList(undefined)).toEqual([]);
+  });
+});
+
+describe('buildPostFilters', () => {
+  it('returns no filters for an empty query', () => {
+    expect(buildPostFilters({})).toEqual({});
+    expect(buildPostFilters()).toEqual({});
+  });
+
+  it('filters categories and authors by id, ignoring malformed ids', () => {
+    const filters = buildPostFilters({
+      categories: `${categoryId},nope,${otherCategoryId}`,
+      author: authorId,
+    });
+
+    expect(filters.category).toEqual({
+      category: {
+        $in: [new mongoose.Types.ObjectId(categoryId), new mongoose.Types.ObjectId(otherCategoryId)],
+      },
+    });
+    expect(filters.author).toEqual({ author: { $in: [new mongoose.Types.ObjectId(authorId)] } });
+  });
+
+  it('drops a dimension whose ids are all malformed', () => {
+    expect(buildPostFilters({ category: 'nope' })).toEqual({});
+  });
+
+  it('matches any tag by default and every tag with tagMode=all', () => {
+    expect(buildPostFilters({ tags: 'React, node' }).tag).toEqual({
+      tags: { $in: ['react', 'node'] },
+    });
+    expect(buildPostFilters({ tags: 'react,node', tagMode: 'all' }).tag).toEqual({
+      tags: { $all: ['react', 'node'] },
+    });
+  });
+
+  it('includes the whole day of a date-only upper bound', () => {
+    const { date } = buildPostFilters({ from: '2024-01-01', to: '2024-01-31' });
+
+    expect(date.publishedAt.$gte).toEqual(new Date('2024-01-01T00:00:00.000Z'));
+    expect(date.publishedAt.$lte).toEqual(new Date('2024-01-31T23:59:59.999Z'));
+  });
+
+  it('accepts a single date bound and ignores invalid dates', () => {
+    expect(buildPostFilters({ from: '2024-01-01', to: 'soon' }).date).toEqual({
+      publishedAt: { $gte: new Date('2024-01-01T00:00:00.000Z') },
+    });
+    expect(buildPostFilters({ to: 'soon' }).date).toBeUndefined();
+  });
+
+  it('only filters by views for a positive minimum', () => {
+    expect(buildPostFilters({ minViews: '100' }).views).toEqual({ viewCount: { $gte: 100 } });
+    expect(buildPostFilters({ minViews: '0' }).views).toBeUndefined();
+    expect(buildPostFilters({ minViews: 'lots' }).views).toBeUndefined();
+  });
+});
+
+describe('combineFilters', () => {
+  const base = { isPublished: true };
+  const filters = buildPostFilters({ category: categoryId, tags: 'react' });
+
+  it('returns the base query when there are no filters', () => {
+    expect(combineFilters(base, {})).toBe(base);
+  });
+
+  it('ands every dimension onto the base query', () => {
+    expect(combineFilters(base, filters)).toEqual({
+      isPublished: true,
+      $and: [filters.category, filters.tag],
+    });
+  });
+
+  it('leaves out the excluded dimension', () => {
+    expect(combineFilters(base, filters, 'category')).toEqual({
+      isPublished: true,
+      $and: [filters.tag],
+    });
+    expect(combineFilters(base, { tag: filters.tag }, 'tag')).toBe(base);
+  });
+});
+
+describe('getPostFacets', () => {
+  const base = { isPublished: true };
+  let aggregate;
+
+  beforeEach(() => {
+    aggregate = jest
+      .spyOn(Post, 'aggregate')
+      .mockResolvedValue([{ categories: [], tags: [], authors: [], months: [] }]);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const facetPipelines = () => {
+    const [pipeline] = aggregate.mock.calls[0];
+    expect(pipeline[0]).toEqual({ $match: base });
+    return pipeline[1].$facet;
+  };
+
+  it('returns the counts from the aggregation', async () => {
+    await expect(getPostFacets(base, {})).resolves.toEqual({
+      categories: [],
+      tags: [],
+      authors: [],
+      months: [],
+    });
+  });
+
+  it('adds no match stages when nothing is filtered', async () => {
+    await getPostFacets(base, {});
+
+    const facets = facetPipelines();
+    Object.values(facets).forEach((pipeline) => {
+      expect(pipeline[0]).not.toHaveProperty('$match');
+    });
+  });
+
+  it("ignores each facet's own filter so sibling values stay selectable", async () => {
+    const filters = buildPostFilters({
+      category: categoryId,
+      tags: 'react',
+      author: authorId,
+      from: '2024-01-01',
+    });
+
+    await getPostFacets(base, filters);
+
+    const facets = facetPipelines();
+    expect(facets.categories[0]).toEqual({
+      $match: { $and: [filters.author, filters.tag, filters.date] },
+    });
+    expect(facets.tags[0]).toEqual({
+      $match: { $and: [filters.category, filters.author, filters.date] },
+    });
+    expect(facets.authors[0]).toEqual({
+      $match: { $and: [filters.category, filters.tag, filters.date] },
+    });
+    expect(facets.months[0]).toEqual({
+      $match: { $and: [filters.category, filters.author, filters.tag] },
+    });
+  });
+
+  it('counts tags one by one and caps the tag and author lists', async () => {
+    await getPostFacets(base, {});
+
+    const facets = facetPipelines();
+    expect(facets.tags).toEqual(
+      expect.arrayContaining([{ $unwind: '$tags' }, { $limit: 50 }])
+    );
+    expect(facets.authors).toEqual(expect.arrayContaining([{ $limit: 20 }]));
+  });
+});
@@ -0,0 +1,38 @@
+const { versionTag, parseIfMatch } = require('../../utils/postVersion');
+
+describe('versionTag', () => {
+  it('quotes the edit version', () => {
+    expect(versionTag({ __v: 3 })).toBe('"3"');
+  });
+});
+
+describe('parseIfMatch', () => {
+  it('returns null when the header is missing', () => {
+    expect(parseIfMatch(undefined)).toBeNull();
+    expect(parseIfMatch('')).toBeNull();
+  });
+
+  it('reads a quoted version', () => {
+    expect(parseIfMatch('"3"')).toBe(3);
+    expect(parseIfMatch(' "12" ')).toBe(12);
+  });
+
+  it('reads a weak version', () => {
+    expect(parseIfMatch('W/"3"')).toBe(3);
+  });
+
+  it('reads an unquoted version', () => {
+    expect(parseIfMatch('0')).toBe(0);
+  });
+
+  it('passes a wildcard through', () => {
+    expect(parseIfMatch('*')).toBe('*');
+    expect(parseIfMatch(' * ')).toBe('*');
+  });
+
+  it('returns undefined for anything else', () => {
+    expect(parseIfMatch('"abc"')).toBeUndefined();
+    expect(parseIfMatch('W/')).toBeUndefined();
+    expect(parseIfMatch('""')).toBeUndefined();
+  });
+});
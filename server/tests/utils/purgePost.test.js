@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const Post = require('../../models/Post');
+const PostLock = require('../../models/PostLock');
+const Series = require('../../models/Series');
+const {
+  getPurgeDate,
+  getTrashRetentionDays,
+  releaseTrashedPost,
+  reinstateRestoredPost,
+} = require('../../utils/purgePost');
+
+describe('trash retention', () => {
+  const original = process.env.TRASH_RETENTION_DAYS;
+
+  afterEach(() => {
+    if (original === undefined) {
+      delete process.env.TRASH_RETENTION_DAYS;
+    } else {
+      process.env.TRASH_RETENTION_DAYS = original;
+    }
+  });
+
+  it('keeps trashed posts for 30 days by default', () => {
+    delete process.env.TRASH_RETENTION_DAYS;
+    expect(getTrashRetentionDays()).toBe(30);
+    expect(getPurgeDate(new Date('2024-01-01T00:00:00Z'))).toEqual(new Date('2024-01-31T00:00:00Z'));
+  });
+
+  it('honours TRASH_RETENTION_DAYS set after the module was loaded', () => {
+    process.env.TRASH_RETENTION_DAYS = '7';
+    expect(getPurgeDate(new Date('2024-01-01T00:00:00Z'))).toEqual(new Date('2024-01-08T00:00:00Z'));
+  });
+});
+
+describe('moving a post in a series to the trash and back', () => {
+  const postId = new mongoose.Types.ObjectId();
+  const seriesId = new mongoose.Types.ObjectId();
+  const parts = [new mongoose.Types.ObjectId(), postId, new mongoose.Types.ObjectId()];
+
+  beforeEach(() => {
+    jest.spyOn(PostLock, 'deleteMany').mockResolvedValue({});
+    jest.spyOn(Post, 'updateOne').mockResolvedValue({});
+    jest.spyOn(Series, 'updateOne').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('remembers the part position and takes the post out of its series', async () => {
+    jest.spyOn(Series, 'findOne').mockReturnValue({
+      select: jest.fn().mockResolvedValue({ _id: seriesId, posts: parts }),
+    });
+
+    await releaseTrashedPost({ _id: postId });
+
+    expect(PostLock.deleteMany).toHaveBeenCalledWith({ post: postId });
+    expect(Post.updateOne).toHaveBeenCalledWith(
+      { _id: postId },
+      { $set: { trashedFrom: { series: seriesId, position: 1 } } },
+      { timestamps: false }
+    );
+    expect(Series.updateOne).toHaveBeenCalledWith({ _id: seriesId }, { $pull: { posts: postId } });
+  });
+
+  it('leaves posts outside a series alone', async () => {
+    jest.spyOn(Series, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+    await releaseTrashedPost({ _id: postId });
+
+    expect(Post.updateOne).not.toHaveBeenCalled();
+    expect(Series.updateOne).not.toHaveBeenCalled();
+  });
+
+  it('puts a restored post back at its old position', async () => {
+    await reinstateRestoredPost({ _id: postId, trashedFrom: { series: seriesId, position: 1 } });
+
+    expect(Series.updateOne).toHaveBeenCalledWith(
+      { _id: seriesId, posts: { $ne: postId } },
+      { $push: { posts: { $each: [postId], $position: 1 } } }
+    );
+  });
+
+  it('does nothing for a post that was not in a series', async () => {
+    await reinstateRestoredPost({ _id: postId, trashedFrom: {} });
+    expect(Series.updateOne).not.toHaveBeenCalled();
+  });
+});
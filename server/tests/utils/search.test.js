@@ -0,0 +1,85 @@
+const {
+  escapeRegExp,
+  parseSearchQuery,
+  hasSearchTerms,
+  buildTextSearch,
+  buildHighlights,
+} = require('../../utils/search');
+
+describe('parseSearchQuery', () => {
+  it('splits terms, exact phrases and exclusions', () => {
+    expect(parseSearchQuery('"exact phrase" react -vue -')).toEqual({
+      terms: ['react'],
+      phrases: ['exact phrase'],
+      excluded: ['vue'],
+    });
+  });
+
+  it('ignores stray quotes and empty phrases', () => {
+    expect(parseSearchQuery('node "js')).toEqual({ terms: ['node', 'js'], phrases: [], excluded: [] });
+    expect(parseSearchQuery('"  " node')).toEqual({ terms: ['node'], phrases: [], excluded: [] });
+  });
+
+  it('handles missing input', () => {
+    expect(parseSearchQuery()).toEqual({ terms: [], phrases: [], excluded: [] });
+  });
+});
+
+describe('hasSearchTerms', () => {
+  it('needs a word or phrase; exclusions alone are not enough', () => {
+    expect(hasSearchTerms(parseSearchQuery('react'))).toBe(true);
+    expect(hasSearchTerms(parseSearchQuery('"two words"'))).toBe(true);
+    expect(hasSearchTerms(parseSearchQuery('-draft'))).toBe(false);
+  });
+});
+
+describe('buildTextSearch', () => {
+  it('rebuilds a $text search string', () => {
+    expect(buildTextSearch(parseSearchQuery('react "exact phrase" -vue'))).toBe(
+      '"exact phrase" react -vue'
+    );
+  });
+});
+
+describe('escapeRegExp', () => {
+  it('escapes RegExp syntax', () => {
+    expect(escapeRegExp('a.b*c(d)')).toBe('a\\.b\\*c\\(d\\)');
+  });
+});
+
+describe('buildHighlights', () => {
+  const post = {
+    title: 'Publishing with React <3',
+    excerpt: '',
+    content: '# Hi\n\nSome **exact phrase** here about react hooks.',
+    tags: ['react', 'node'],
+  };
+
+  it('marks matches in the title, snippet and tags, escaping HTML', () => {
+    expect(buildHighlights(post, parseSearchQuery('"exact phrase" react'))).toEqual({
+      title: 'Publishing with <mark>React</mark> &lt;3',
+      snippet: 'Hi Some <mark>exact phrase</mark> here about <mark>react</mark> hooks.',
+      tags: ['react'],
+    });
+  });
+
+  it('matches word endings', () => {
+    expect(buildHighlights(post, parseSearchQuery('publish')).title).toBe(
+      '<mark>Publishing</mark> with React &lt;3'
+    );
+  });
+
+  it('prefers a matching excerpt over the content', () => {
+    const highlights = buildHighlights({ ...post, excerpt: 'All about react.' }, parseSearchQuery('react'));
+    expect(highlights.snippet).toBe('All about <mark>react</mark>.');
+  });
+
+  it('cuts long content around the first match', () => {
+    const long = { ...post, content: `${'lorem '.repeat(60)}needle ${'ipsum '.repeat(60)}` };
+    const { snippet } = buildHighlights(long, parseSearchQuery('needle'));
+
+    expect(snippet.startsWith('… ')).toBe(true);
+    expect(snippet.endsWith(' …')).toBe(true);
+    expect(snippet).toContain('<mark>needle</mark>');
+  });
+});
@@ -0,0 +1,97 @@
+const Category = require('../../models/Category');
+const {
+  slugify,
+  matchesBase,
+  uniqueSlug,
+  isSlugConflict,
+  saveWithUniqueSlug,
+} = require('../../utils/slugs');
+
+// Stand in for Model.find(...).setOptions(...).distinct('slug')
+const mockTakenSlugs = (Model, taken) =>
+  jest.spyOn(Model, 'find').mockReturnValue({
+    setOptions: () => ({ distinct: async () => taken }),
+  });
+
+const slugConflict = () => Object.assign(new Error('E11000'), { code: 11000, keyPattern: { slug: 1 } });
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('slugify', () => {
+  it('transliterates and joins words with dashes', () => {
+    expect(slugify('Crème Brûlée & Привет!')).toBe('creme-brulee-and-privet');
+    expect(slugify('Straße Ωmega')).toBe('strasse-omega');
+    expect(slugify('  --  ')).toBe('');
+  });
+
+  it('caps the length without leaving a trailing dash', () => {
+    expect(slugify(`${'a'.repeat(79)} b`)).toBe('a'.repeat(79));
+  });
+});
+
+describe('matchesBase', () => {
+  it('matches the base and its numeric suffixes only', () => {
+    expect(matchesBase('hello', 'hello')).toBe(true);
+    expect(matchesBase('hello-3', 'hello')).toBe(true);
+    expect(matchesBase('hello-world', 'hello')).toBe(false);
+    expect(matchesBase(undefined, 'hello')).toBe(false);
+  });
+});
+
+describe('uniqueSlug', () => {
+  it('returns the base when it is free', async () => {
+    mockTakenSlugs(Category, ['hello-2']);
+    await expect(uniqueSlug(Category, 'hello')).resolves.toBe('hello');
+  });
+
+  it('adds the next numeric suffix when the base is taken', async () => {
+    mockTakenSlugs(Category, ['hello', 'hello-2', 'hello-5']);
+    await expect(uniqueSlug(Category, 'hello')).resolves.toBe('hello-6');
+  });
+});
+
+describe('isSlugConflict', () => {
+  it('only matches duplicate key errors on the slug', () => {
+    expect(isSlugConflict(slugConflict())).toBe(true);
+    expect(isSlugConflict({ code: 11000, keyPattern: { name: 1 } })).toBe(false);
+    expect(isSlugConflict(new Error('boom'))).toBe(false);
+  });
+});
+
+describe('saveWithUniqueSlug', () => {
+  it('retries a save that lost the race for a slug', async () => {
+    const doc = { $locals: {}, save: jest.fn() };
+    doc.save.mockRejectedValueOnce(slugConflict()).mockResolvedValueOnce(doc);
+
+    await expect(saveWithUniqueSlug(doc)).resolves.toBe(doc);
+    expect(doc.save).toHaveBeenCalledTimes(2);
+    expect(doc.$locals.slugTaken).toBe(true);
+  });
+
+  it('rethrows other errors and gives up after a few attempts', async () => {
+    const failing = { $locals: {}, save: jest.fn().mockRejectedValue(new Error('boom')) };
+    await expect(saveWithUniqueSlug(failing)).rejects.toThrow('boom');
+    expect(failing.save).toHaveBeenCalledTimes(1);
+
+    const conflicting = { $locals: {}, save: jest.fn().mockRejectedValue(slugConflict()) };
+    await expect(saveWithUniqueSlug(conflicting)).rejects.toThrow('E11000');
+    expect(conflicting.save).toHaveBeenCalledTimes(5);
+  });
+
+  it('makes the slug hook pick the next free slug', async () => {
+    const find = mockTakenSlugs(Category, []);
+    const category = new Category({ name: 'Hello' });
+    await category.validate();
+    expect(category.slug).toBe('hello');
+
+    // A concurrent save took "hello" in the meantime
+    find.mockReturnValue({ setOptions: () => ({ distinct: async () => ['hello'] }) });
+    category.$locals.slugTaken = true;
+    await category.validate();
+
+    expect(category.slug).toBe('hello-2');
+    expect(category.$locals.slugTaken).toBe(false);
+  });
+});
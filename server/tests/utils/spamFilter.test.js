@@ -0,0 +1,73 @@
+jest.mock('../../models/Comment', () => ({ countDocuments: jest.fn() }));
+
+const Comment = require('../../models/Comment');
+const { checkComment } = require('../../utils/spamFilter');
+
+const oldUser = { _id: 'user-1', createdAt: new Date('2020-01-01') };
+
+describe('checkComment', () => {
+  beforeEach(() => {
+    Comment.countDocuments.mockReset().mockResolvedValue(0);
+  });
+
+  it('approves an ordinary comment', async () => {
+    await expect(checkComment({ content: 'Great post, thanks!' }, { user: oldUser })).resolves.toEqual({
+      score: 0,
+      reasons: [],
+      status: 'approved',
+    });
+  });
+
+  it('holds comments with links and spams blocklisted ones', async () => {
+    const links = await checkComment(
+      { content: 'See https://a.example and https://b.example' },
+      { user: oldUser }
+    );
+    expect(links.status).toBe('pending');
+
+    const spam = await checkComment(
+      { content: 'Free money at the casino https://x.example' },
+      { user: oldUser }
+    );
+    expect(spam.status).toBe('spam');
+  });
+
+  it('flags a user repeating their own recent comment', async () => {
+    Comment.countDocuments.mockResolvedValueOnce(1);
+
+    const result = await checkComment({ content: 'Same again' }, { user: oldUser });
+
+    expect(result.reasons).toContain('Repeats one of your recent comments');
+    expect(result.status).toBe('pending');
+  });
+
+  it('does not count an edited comment as a repeat of itself', async () => {
+    await checkComment({ _id: 'comment-1', content: 'Fixed a typo' }, { user: oldUser });
+
+    expect(Comment.countDocuments).toHaveBeenCalledTimes(2);
+    Comment.countDocuments.mock.calls.forEach(([filter]) => {
+      expect(filter._id).toEqual({ $ne: 'comment-1' });
+    });
+  });
+
+  it('honours thresholds set after the module was loaded', async () => {
+    process.env.SPAM_HOLD_THRESHOLD = '1';
+    process.env.SPAM_THRESHOLD = '2';
+    try {
+      const result = await checkComment({ content: 'See https://a.example' }, { user: oldUser });
+      expect(result.status).toBe('pending');
+    } finally {
+      delete process.env.SPAM_HOLD_THRESHOLD;
+      delete process.env.SPAM_THRESHOLD;
+    }
+  });
+
+  it('scores brand new accounts', async () => {
+    const user = { _id: 'user-2', createdAt: new Date() };
+
+    const result = await checkComment({ content: 'Hello' }, { user });
+
+    expect(result.score).toBe(1);
+    expect(result.reasons).toEqual(['Account is less than a day old']);
+  });
+});
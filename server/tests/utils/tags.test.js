@@ -0,0 +1,53 @@
+const { normalizeTag, normalizeTags, parseTags, isValidTag, MAX_TAG_LENGTH } = require('../../utils/tags');
+
+describe('normalizeTag', () => {
+  it('slugifies Latin tags and strips accents', () => {
+    expect(normalizeTag('  React JS ')).toBe('react-js');
+    expect(normalizeTag('node.js')).toBe('node-js');
+    expect(normalizeTag('Café Crème')).toBe('cafe-creme');
+    expect(normalizeTag('C++')).toBe('c++');
+    expect(normalizeTag('C#')).toBe('c#');
+  });
+
+  it('keeps letters from other scripts', () => {
+    expect(normalizeTag('Привет')).toBe('привет');
+    expect(normalizeTag('Йога')).toBe('йога');
+    expect(normalizeTag('日本語')).toBe('日本語');
+    expect(normalizeTag('हिन्दी')).toBe('हिन्दी');
+  });
+
+  it('caps the length without leaving a trailing dash', () => {
+    expect(normalizeTag('a'.repeat(19) + ' b')).toBe('a'.repeat(19));
+    expect(Array.from(normalizeTag('語'.repeat(30)))).toHaveLength(MAX_TAG_LENGTH);
+  });
+});
+
+describe('normalizeTags', () => {
+  it('keeps every usable tag and drops duplicates', () => {
+    expect(normalizeTags(['Привет', '日本語', 'C++', 'React JS', 'node.js', 'react-js'])).toEqual([
+      'привет',
+      '日本語',
+      'c++',
+      'react-js',
+      'node-js',
+    ]);
+  });
+});
+
+describe('isValidTag', () => {
+  it('rejects tags with nothing left after normalizing', () => {
+    expect(isValidTag('!!!')).toBe(false);
+    expect(isValidTag('   ')).toBe(false);
+    expect(isValidTag('日本語')).toBe(true);
+  });
+});
+
+describe('parseTags', () => {
+  it('accepts arrays, JSON arrays and comma lists', () => {
+    expect(parseTags(['a', 'b'])).toEqual(['a', 'b']);
+    expect(parseTags('["a","b"]')).toEqual(['a', 'b']);
+    expect(parseTags('a, b')).toEqual(['a', ' b']);
+    expect(parseTags('')).toEqual([]);
+    expect(parseTags(undefined)).toBeUndefined();
+  });
+});
@@ -0,0 +1,58 @@
+const { validateBookmark, validateReadingListUpdate } = require('../../utils/validation');
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+// Run a validator chain the way Express would, stopping when it responds
+const runValidators = async (validators, req) => {
+  const res = mockResponse();
+  const next = jest.fn();
+  for (const validator of validators) {
+    next.mockClear();
+    await validator(req, res, next);
+    if (!next.mock.calls.length) break;
+  }
+  return { res, passed: next.mock.calls.length > 0 };
+};
+
+describe('validateBookmark', () => {
+  it('accepts a valid post ID', async () => {
+    const { passed } = await runValidators(validateBookmark, {
+      params: { id: '64b7f0c2a1b2c3d4e5f60718' },
+    });
+
+    expect(passed).toBe(true);
+  });
+
+  it('rejects a malformed post ID with a 400', async () => {
+    const { res, passed } = await runValidators(validateBookmark, { params: { id: 'not-an-id' } });
+
+    expect(passed).toBe(false);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].errors[0]).toMatchObject({ field: 'id' });
+  });
+});
+
+describe('validateReadingListUpdate', () => {
+  it('allows updates that leave the name out', async () => {
+    const { passed } = await runValidators(validateReadingListUpdate, {
+      body: { isPublic: true },
+    });
+
+    expect(passed).toBe(true);
+  });
+
+  it('still rejects a blank name', async () => {
+    const { res, passed } = await runValidators(validateReadingListUpdate, {
+      body: { name: '   ' },
+    });
+
+    expect(passed).toBe(false);
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.json.mock.calls[0][0].errors[0]).toMatchObject({ field: 'name' });
+  });
+});
@@ -0,0 +1,67 @@
+// analytics.js - Date range helpers for analytics aggregations
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+// Longest range a report covers, so one request can't aggregate years of events
+const MAX_RANGE_DAYS = 366;
+
+const isDateOnly = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+const resolveRange = ({ from, to } = {}) => {
+  let end = to ? new Date(to) : new Date();
+
+  // A bare date includes the whole day
+  if (to && isDateOnly(to)) {
+    end = new Date(end.getTime() + DAY_MS);
+  }
+
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+
+  return { from: start, to: end };
+};
+
+// Whether ?from=&to= stays within MAX_RANGE_DAYS; invalid dates are left to other checks
+const isRangeWithinLimit = (query) => {
+  const { from, to } = resolveRange(query);
+  return !(to - from > MAX_RANGE_DAYS * DAY_MS);
+};
+
+// Resolve ?from=&to= into a [from, to) range; defaults to the last 30 days
+// and never reaches back more than MAX_RANGE_DAYS before its end
+const getDateRange = (query) => {
+  const range = resolveRange(query);
+  const earliest = new Date(range.to.getTime() - MAX_RANGE_DAYS * DAY_MS);
+  return { from: range.from < earliest ? earliest : range.from, to: range.to };
+};
+
+// UTC day keys (YYYY-MM-DD) covering a range, at most one per day of MAX_RANGE_DAYS
+const getDayKeys = ({ from, to }) => {
+  const keys = [];
+  const day = new Date(Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate()));
+
+  while (day < to && keys.length <= MAX_RANGE_DAYS) {
+    keys.push(day.toISOString().slice(0, 10));
+    day.setUTCDate(day.getUTCDate() + 1);
+  }
+
+  return keys;
+};
+
+// Fill days without data with zeros so charts get a continuous series
+const fillDays = (range, rows, empty) => {
+  const byDay = new Map(rows.map((row) => [row.date, row]));
+  return getDayKeys(range).map((date) => byDay.get(date) || { date, ...empty });
+};
+
+// Turn [{ _id, count }] aggregation rows into an object keyed by _id
+const countsToObject = (rows) =>
+  rows.reduce((counts, row) => ({ ...counts, [row._id]: row.count }), {});
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  isRangeWithinLimit,
+  getDateRange,
+  getDayKeys,
+  fillDays,
+  countsToObject,
+};
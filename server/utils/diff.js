@@ -0,0 +1,154 @@
+// diff.js - Line-level text diff utilities (Myers algorithm)
+
+// Split text into lines, normalising Windows line endings
+const splitLines = (text) => {
+  if (!text) {
+    return [];
+  }
+  return String(text).replace(/\r\n/g, '\n').split('\n');
+};
+
+// Give up on a minimal diff beyond this many edits and report a full replacement
+// instead, so very different texts can't tie up the server
+const MAX_EDIT_DISTANCE = 2000;
+
+// Walk the recorded edit graph backwards to build the list of changes.
+// trace[d] holds the frontier for diagonals -d-1..d+1 as it was before step d.
+const backtrack = (trace, a, b) => {
+  const changes = [];
+  let x = a.length;
+  let y = b.length;
+
+  for (let d = trace.length - 1; d >= 0; d--) {
+    const v = trace[d];
+    const at = (k) => v[k + d + 1];
+    const k = x - y;
+
+    const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      changes.push({ type: 'equal', value: a[x - 1] });
+      x--;
+      y--;
+    }
+
+    if (d > 0) {
+      if (x === prevX) {
+        changes.push({ type: 'added', value: b[y - 1] });
+      } else {
+        changes.push({ type: 'removed', value: a[x - 1] });
+      }
+    }
+
+    x = prevX;
+    y = prevY;
+  }
+
+  return changes.reverse();
+};
+
+// Myers shortest edit script between two line arrays; null if it needs more
+// than MAX_EDIT_DISTANCE edits
+const shortestEdit = (a, b) => {
+  const max = Math.min(a.length + b.length, MAX_EDIT_DISTANCE);
+  const offset = max + 1;
+  const v = new Int32Array(2 * max + 3);
+  const trace = [];
+
+  v[offset + 1] = 0;
+
+  for (let d = 0; d <= max; d++) {
+    // Only keep the diagonals this step can reach
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x =
+        k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+          ? v[offset + k + 1]
+          : v[offset + k - 1] + 1;
+      let y = x - k;
+
+      while (x < a.length && y < b.length && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+
+      v[offset + k] = x;
+
+      if (x >= a.length && y >= b.length) {
+        return backtrack(trace, a, b);
+      }
+    }
+  }
+
+  return null;
+};
+
+// Compute a line-level diff between two texts
+const diffLines = (oldText, newText) => {
+  const a = splitLines(oldText);
+  const b = splitLines(newText);
+
+  // Unchanged lines at either end don't need the edit graph
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const oldMiddle = a.slice(start, endA);
+  const newMiddle = b.slice(start, endB);
+  const middle = shortestEdit(oldMiddle, newMiddle) || [
+    ...oldMiddle.map((value) => ({ type: 'removed', value })),
+    ...newMiddle.map((value) => ({ type: 'added', value })),
+  ];
+
+  const changes = [
+    ...a.slice(0, start).map((value) => ({ type: 'equal', value })),
+    ...middle,
+    ...a.slice(endA).map((value) => ({ type: 'equal', value })),
+  ];
+
+  // Number the lines on each side
+  let oldLine = 0;
+  let newLine = 0;
+  return changes.map((change) => {
+    if (change.type === 'equal') {
+      oldLine++;
+      newLine++;
+      return { ...change, oldLine, newLine };
+    }
+    if (change.type === 'added') {
+      newLine++;
+      return { ...change, newLine };
+    }
+    oldLine++;
+    return { ...change, oldLine };
+  });
+};
+
+// Count added and removed lines in a diff
+const summarizeDiff = (changes) => {
+  return changes.reduce(
+    (summary, change) => {
+      if (change.type === 'added') summary.added += 1;
+      if (change.type === 'removed') summary.removed += 1;
+      return summary;
+    },
+    { added: 0, removed: 0 }
+  );
+};
+
+module.exports = {
+  MAX_EDIT_DISTANCE,
+  diffLines,
+  summarizeDiff,
+};
@@ -0,0 +1,153 @@
+// feed.js - RSS 2.0, Atom and JSON Feed 1.1 builders
+
+// Public site the feed links point at (the client app)
+const getSiteUrl = () => (process.env.SITE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+// Turn a site-relative path into an absolute URL
+const absoluteUrl = (path = '/') => `${getSiteUrl()}${path.startsWith('/') ? '' : '/'}${path}`;
+
+// Escape text for XML element content and attributes
+const escapeXml = (value = '') =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+// Display name for a populated author
+const authorName = (author) => {
+  if (!author) return '';
+  return author.firstName ? `${author.firstName} ${author.lastName}` : author.username;
+};
+
+// Map a populated post to a format-neutral feed item
+const toFeedItem = (post, { fullContent = false, imageBaseUrl = '' } = {}) => {
+  const summary =
+    post.excerpt ||
+    (post.content.length > 200 ? `${post.content.slice(0, 197).trim()}...` : post.content);
+
+  return {
+    id: absoluteUrl(post.url),
+    url: absoluteUrl(post.url),
+    title: post.title,
+    summary,
+    content: fullContent ? post.content : null,
+    contentHtml: fullContent ? post.contentHtml || null : null,
+    author: authorName(post.author),
+    category: post.category ? post.category.name : null,
+    tags: post.tags || [],
+    image:
+      post.featuredImage && post.featuredImage !== 'default-post.jpg'
+        ? `${imageBaseUrl}/uploads/${post.featuredImage}`
+        : null,
+    published: post.publishedAt || post.createdAt,
+    updated: post.updatedAt,
+  };
+};
+
+// Build an RSS 2.0 document
+const buildRss = (feed, items) => {
+  const entries = items
+    .map(
+      (item) => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.id)}</guid>
+      <pubDate>${new Date(item.published).toUTCString()}</pubDate>
+      <dc:creator>${escapeXml(item.author)}</dc:creator>
+${[item.category, ...item.tags]
+  .filter(Boolean)
+  .map((category) => `      <category>${escapeXml(category)}</category>\n`)
+  .join('')}      <description>${escapeXml(item.summary)}</description>
+${item.content ? `      <content:encoded>${escapeXml(item.contentHtml || item.content)}</content:encoded>\n` : ''}    </item>`
+    )
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.link)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>en</language>
+    <lastBuildDate>${new Date(feed.updated).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml"/>
+${entries}
+  </channel>
+</rss>
+`;
+};
+
+// Build an Atom 1.0 document
+const buildAtom = (feed, items) => {
+  const entries = items
+    .map(
+      (item) => `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link href="${escapeXml(item.url)}"/>
+    <id>${escapeXml(item.id)}</id>
+    <published>${new Date(item.published).toISOString()}</published>
+    <updated>${new Date(item.updated).toISOString()}</updated>
+    <author><name>${escapeXml(item.author)}</name></author>
+${[item.category, ...item.tags]
+  .filter(Boolean)
+  .map((category) => `    <category term="${escapeXml(category)}"/>\n`)
+  .join('')}    <summary>${escapeXml(item.summary)}</summary>
+${item.content ? `    <content type="${item.contentHtml ? 'html' : 'text'}">${escapeXml(item.contentHtml || item.content)}</content>\n` : ''}  </entry>`
+    )
+    .join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link href="${escapeXml(feed.link)}"/>
+  <link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/atom+xml"/>
+  <id>${escapeXml(feed.feedUrl)}</id>
+  <updated>${new Date(feed.updated).toISOString()}</updated>
+${entries}
+</feed>
+`;
+};
+
+// Build a JSON Feed 1.1 document
+const buildJsonFeed = (feed, items) => {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.link,
+    feed_url: feed.feedUrl,
+    description: feed.description,
+    language: 'en',
+    items: items.map((item) => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      summary: item.summary,
+      content_html: item.contentHtml || undefined,
+      content_text: item.contentHtml ? undefined : item.content || item.summary,
+      image: item.image || undefined,
+      date_published: new Date(item.published).toISOString(),
+      date_modified: new Date(item.updated).toISOString(),
+      authors: item.author ? [{ name: item.author }] : undefined,
+      tags: [item.category, ...item.tags].filter(Boolean),
+    })),
+  });
+};
+
+// Supported feed formats keyed by name
+const FEED_FORMATS = {
+  rss: { contentType: 'application/rss+xml; charset=utf-8', build: buildRss },
+  atom: { contentType: 'application/atom+xml; charset=utf-8', build: buildAtom },
+  json: { contentType: 'application/feed+json; charset=utf-8', build: buildJsonFeed },
+};
+
+module.exports = {
+  getSiteUrl,
+  absoluteUrl,
+  escapeXml,
+  authorName,
+  toFeedItem,
+  FEED_FORMATS,
+};
@@ -0,0 +1,159 @@
+// markdown.js - Rendering and plain-text helpers for Markdown post content
+
+const { Marked } = require('marked');
+const sanitizeHtml = require('sanitize-html');
+const { slugify } = require('./slugs');
+
+const WORDS_PER_MINUTE = 200;
+const EXCERPT_LENGTH = 200;
+
+// Reduce Markdown to plain text; code blocks are dropped unless keepCode is set
+const stripMarkdown = (markdown, { keepCode = false } = {}) => {
+  return String(markdown || '')
+    .replace(/^(```|~~~)[^\n]*\n([\s\S]*?)^\1[ \t]*$/gm, (match, fence, code) =>
+      keepCode ? ` ${code} ` : ' '
+    )
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/^\s*\[[^\]]+\]:\s+\S+.*$/gm, '')
+    .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/\[([^\]]+)\](?:\([^)]*\)|\[[^\]]*\])/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+    .replace(/^\s{0,3}>\s?/gm, '')
+    .replace(/^\s*(?:[-*+]|\d+[.)])\s+/gm, '')
+    .replace(/^\s*(?:[-*_]\s*){3,}$/gm, '')
+    .replace(/(^|\W)(\*\*|__)(.+?)\2(?=\W|$)/g, '$1$3')
+    .replace(/(^|\W)(\*|_)(.+?)\2(?=\W|$)/g, '$1$3')
+    .replace(/~~(.+?)~~/g, '$1')
+    .replace(/\|/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+// Number of words in Markdown content, counting code
+const countWords = (markdown) => {
+  const text = stripMarkdown(markdown, { keepCode: true });
+  return text ? text.split(' ').length : 0;
+};
+
+// Estimated reading time in whole minutes (at least one)
+const readingTime = (wordCount) => Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE));
+
+// Summary of the content made of whole sentences that fit within maxLength
+const makeExcerpt = (markdown, maxLength = EXCERPT_LENGTH) => {
+  // Headings don't read well as part of a summary
+  const text = stripMarkdown(String(markdown || '').replace(/^\s{0,3}#{1,6}\s+.*$/gm, ''));
+  if (text.length <= maxLength) {
+    return text;
+  }
+
+  const sentences = text.match(/[^.!?]+(?:[.!?]+["')\]]*|$)\s*/g) || [];
+  let excerpt = '';
+  for (const sentence of sentences) {
+    if ((excerpt + sentence).trim().length > maxLength) {
+      break;
+    }
+    excerpt += sentence;
+  }
+
+  if (excerpt.trim()) {
+    return excerpt.trim();
+  }
+
+  // The first sentence is too long: cut at a word boundary instead
+  const cut = text.slice(0, maxLength - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).replace(/[\s,;:.-]+$/, '')}…`;
+};
+
+// Tags and attributes allowed in rendered post HTML
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'br', 'hr', 'blockquote',
+    'ul', 'ol', 'li', 'strong', 'em', 'del', 's', 'code', 'pre', 'a', 'img',
+    'table', 'thead', 'tbody', 'tr', 'th', 'td', 'sup', 'sub', 'input',
+  ],
+  allowedAttributes: {
+    h1: ['id'],
+    h2: ['id'],
+    h3: ['id'],
+    h4: ['id'],
+    h5: ['id'],
+    h6: ['id'],
+    a: ['href', 'title', 'rel', 'target'],
+    img: ['src', 'alt', 'title'],
+    th: ['align'],
+    td: ['align'],
+    input: ['type', 'checked', 'disabled'],
+  },
+  // Fenced code keeps its language class for client-side syntax highlighting
+  allowedClasses: {
+    code: ['language-*', 'hljs'],
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  transformTags: {
+    a: (tagName, attribs) => {
+      // External links open in a new tab without passing on the opener or ranking
+      const external = /^https?:\/\//i.test(attribs.href || '');
+      return {
+        tagName,
+        attribs: external
+          ? { ...attribs, rel: 'nofollow noopener noreferrer', target: '_blank' }
+          : attribs,
+      };
+    },
+    code: (tagName, attribs) => ({
+      tagName,
+      attribs: attribs.class ? { class: `hljs ${attribs.class}` } : attribs,
+    }),
+  },
+  // Only task-list checkboxes survive as inputs
+  exclusiveFilter: (frame) => frame.tag === 'input' && frame.attribs.type !== 'checkbox',
+};
+
+// Render Markdown to sanitized HTML, giving each heading an anchor id and
+// collecting the headings into a table of contents
+const renderMarkdown = (markdown) => {
+  const toc = [];
+  const issuedIds = new Set();
+  const suffixes = new Map();
+
+  const marked = new Marked({ gfm: true, breaks: false });
+  marked.use({
+    renderer: {
+      heading(text, level, raw) {
+        const label = stripMarkdown(raw);
+        const base = slugify(label) || 'section';
+
+        // Repeated headings get -2, -3... in document order so ids stay stable,
+        // skipping any id already taken, e.g. by a literal "Foo 2" heading
+        let count = suffixes.get(base) || 0;
+        let id;
+        do {
+          count += 1;
+          id = count > 1 ? `${base}-${count}` : base;
+        } while (issuedIds.has(id));
+        suffixes.set(base, count);
+        issuedIds.add(id);
+
+        toc.push({ level, text: label, id });
+        return `<h${level} id="${id}">${text}</h${level}>\n`;
+      },
+    },
+  });
+
+  const html = sanitizeHtml(marked.parse(String(markdown || '')), SANITIZE_OPTIONS);
+  return { html, toc };
+};
+
+module.exports = {
+  renderMarkdown,
+  WORDS_PER_MINUTE,
+  EXCERPT_LENGTH,
+  stripMarkdown,
+  countWords,
+  readingTime,
+  makeExcerpt,
+};
@@ -0,0 +1,180 @@
+// postFilters.js - Shared post listing filters and facet counts
+
+const mongoose = require('mongoose');
+const Post = require('../models/Post');
+const { normalizeTags } = require('./tags');
+
+const MAX_TAG_FACETS = 50;
+const MAX_AUTHOR_FACETS = 20;
+
+// Read a list given as ?tags=a,b or ?tags=a&tags=b
+const parseList = (value) => {
+  if (!value) {
+    return [];
+  }
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .flatMap((item) => String(item).split(','))
+    .map((item) => item.trim())
+    .filter(Boolean);
+};
+
+// Read a list of ObjectIds, ignoring anything malformed
+const parseObjectIds = (value) => {
+  return parseList(value)
+    .filter((id) => mongoose.Types.ObjectId.isValid(id))
+    .map((id) => new mongoose.Types.ObjectId(id));
+};
+
+// Parse a date bound; date-only "to" values include the whole day
+const parseDate = (value, endOfDay = false) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    return null;
+  }
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+// Build the filter for each facet dimension from the query string
+const buildPostFilters = (params = {}) => {
+  const filters = {};
+
+  const categories = parseObjectIds(params.categories || params.category);
+  if (categories.length > 0) {
+    filters.category = { category: { $in: categories } };
+  }
+
+  const authors = parseObjectIds(params.authors || params.author);
+  if (authors.length > 0) {
+    filters.author = { author: { $in: authors } };
+  }
+
+  const tags = normalizeTags(parseList(params.tags || params.tag));
+  if (tags.length > 0) {
+    filters.tag = { tags: params.tagMode === 'all' ? { $all: tags } : { $in: tags } };
+  }
+
+  const from = parseDate(params.from);
+  const to = parseDate(params.to, true);
+  if (from || to) {
+    filters.date = {
+      publishedAt: {
+        ...(from && { $gte: from }),
+        ...(to && { $lte: to }),
+      },
+    };
+  }
+
+  const minViews = parseInt(params.minViews);
+  if (minViews > 0) {
+    filters.views = { viewCount: { $gte: minViews } };
+  }
+
+  return filters;
+};
+
+// Combine a base query with the dimension filters, optionally leaving one out
+const combineFilters = (base, filters, exclude = null) => {
+  const parts = Object.keys(filters)
+    .filter((dimension) => dimension !== exclude)
+    .map((dimension) => filters[dimension]);
+
+  return parts.length > 0 ? { ...base, $and: parts } : base;
+};
+
+// Match stage for a facet, ignoring the facet's own filter so siblings stay selectable
+const facetMatch = (filters, dimension) => {
+  const { $and: parts } = combineFilters({}, filters, dimension);
+  return parts ? [{ $match: { $and: parts } }] : [];
+};
+
+// Count posts per category, tag, author and month for a filter sidebar
+const getPostFacets = async (base, filters) => {
+  const [facets] = await Post.aggregate([
+    { $match: base },
+    {
+      $facet: {
+        categories: [
+          ...facetMatch(filters, 'category'),
+          { $group: { _id: '$category', count: { $sum: 1 } } },
+          {
+            $lookup: {
+              from: 'categories',
+              localField: '_id',
+              foreignField: '_id',
+              as: 'category',
+            },
+          },
+          { $unwind: '$category' },
+          { $sort: { count: -1, 'category.name': 1 } },
+          {
+            $project: {
+              count: 1,
+              name: '$category.name',
+              slug: '$category.slug',
+              color: '$category.color',
+              icon: '$category.icon',
+            },
+          },
+        ],
+        tags: [
+          ...facetMatch(filters, 'tag'),
+          { $unwind: '$tags' },
+          { $group: { _id: '$tags', count: { $sum: 1 } } },
+          { $sort: { count: -1, _id: 1 } },
+          { $limit: MAX_TAG_FACETS },
+          { $project: { _id: 0, tag: '$_id', count: 1 } },
+        ],
+        authors: [
+          ...facetMatch(filters, 'author'),
+          { $group: { _id: '$author', count: { $sum: 1 } } },
+          { $sort: { count: -1 } },
+          { $limit: MAX_AUTHOR_FACETS },
+          {
+            $lookup: {
+              from: 'users',
+              localField: '_id',
+              foreignField: '_id',
+              as: 'author',
+            },
+          },
+          { $unwind: '$author' },
+          {
+            $project: {
+              count: 1,
+              username: '$author.username',
+              firstName: '$author.firstName',
+              lastName: '$author.lastName',
+            },
+          },
+        ],
+        months: [
+          ...facetMatch(filters, 'date'),
+          {
+            $group: {
+              _id: { $dateToString: { format: '%Y-%m', date: '$publishedAt' } },
+              count: { $sum: 1 },
+            },
+          },
+          { $sort: { _id: -1 } },
+          { $project: { _id: 0, month: '$_id', count: 1 } },
+        ],
+      },
+    },
+  ]);
+
+  return facets;
+};
+
+module.exports = {
+  parseList,
+  buildPostFilters,
+  combineFilters,
+  getPostFacets,
+};
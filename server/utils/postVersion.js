@@ -0,0 +1,25 @@
+// postVersion.js - Edit versions carried in ETag and If-Match headers
+
+// ETag for a post's edit version
+const versionTag = (post) => `"${post.__v}"`;
+
+// Read the version from an If-Match header: '"3"', 'W/"3"' or '*'.
+// Returns null when the header is missing and undefined when it can't be read.
+const parseIfMatch = (header) => {
+  if (!header) {
+    return null;
+  }
+
+  const value = header.trim();
+  if (value === '*') {
+    return value;
+  }
+
+  const version = parseInt(value.replace(/^W\//, '').replace(/"/g, ''), 10);
+  return Number.isNaN(version) ? undefined : version;
+};
+
+module.exports = {
+  versionTag,
+  parseIfMatch,
+};
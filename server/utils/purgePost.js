@@ -0,0 +1,99 @@
+// purgePost.js - Cleans up after trashed posts and permanently removes them
+
+const fs = require('fs/promises');
+const path = require('path');
+const Post = require('../models/Post');
+const PostRevision = require('../models/PostRevision');
+const Comment = require('../models/Comment');
+const Reaction = require('../models/Reaction');
+const Bookmark = require('../models/Bookmark');
+const ReadingList = require('../models/ReadingList');
+const PostView = require('../models/PostView');
+const PostViewDaily = require('../models/PostViewDaily');
+const ViewEvent = require('../models/ViewEvent');
+const PostLock = require('../models/PostLock');
+const Series = require('../models/Series');
+
+const uploadsDir = path.join(__dirname, '../uploads');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Days a post stays in the trash; read on use so a value from .env is honoured
+const getTrashRetentionDays = () => parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const DEFAULT_IMAGE = 'default-post.jpg';
+
+// Delete an uploaded featured image, ignoring files that are already gone
+const removeFeaturedImage = async (filename) => {
+  if (!filename || filename === DEFAULT_IMAGE) {
+    return;
+  }
+
+  try {
+    await fs.unlink(path.join(uploadsDir, path.basename(filename)));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+};
+
+const purgePost = async (post) => {
+  const commentIds = await Comment.find({ post: post._id }).distinct('_id');
+
+  await Post.deleteOne({ _id: post._id });
+  await Comment.deleteMany({ post: post._id });
+  await Reaction.deleteMany({ target: { $in: [post._id, ...commentIds] } });
+  await PostRevision.deleteMany({ post: post._id });
+  await Bookmark.deleteMany({ post: post._id });
+  await ReadingList.updateMany({ posts: post._id }, { $pull: { posts: post._id } });
+  await Series.updateMany({ posts: post._id }, { $pull: { posts: post._id } });
+  await PostView.deleteMany({ post: post._id });
+  await PostViewDaily.deleteMany({ post: post._id });
+  await ViewEvent.deleteMany({ post: post._id });
+  await PostLock.deleteMany({ post: post._id });
+  await removeFeaturedImage(post.featuredImage);
+};
+
+// Let go of what a post holds once it is moved to the trash
+const releaseTrashedPost = async (post) => {
+  // Nobody can edit a trashed post, so its edit lock would only block a restore
+  await PostLock.deleteMany({ post: post._id });
+
+  // Series navigation should not lead readers to a post that is gone; remember
+  // where it was so restoring the post puts it back in the same place
+  const series = await Series.findOne({ posts: post._id }).select('posts');
+  if (series) {
+    const position = series.posts.findIndex((id) => id.equals(post._id));
+    await Post.updateOne(
+      { _id: post._id },
+      { $set: { trashedFrom: { series: series._id, position } } },
+      { timestamps: false }
+    );
+    await Series.updateOne({ _id: series._id }, { $pull: { posts: post._id } });
+  }
+};
+
+// Undo releaseTrashedPost when a post comes back out of the trash
+const reinstateRestoredPost = async (post) => {
+  const { series, position } = post.trashedFrom || {};
+  if (!series) {
+    return;
+  }
+
+  // The series may have been deleted meanwhile; then there is nothing to go back to
+  await Series.updateOne(
+    { _id: series, posts: { $ne: post._id } },
+    { $push: { posts: { $each: [post._id], $position: position } } }
+  );
+};
+
+// Date after which a trashed post is purged
+const getPurgeDate = (deletedAt) =>
+  new Date(deletedAt.getTime() + getTrashRetentionDays() * DAY_MS);
+
+module.exports = {
+  getTrashRetentionDays,
+  purgePost,
+  releaseTrashedPost,
+  reinstateRestoredPost,
+  getPurgeDate,
+};
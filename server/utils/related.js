@@ -0,0 +1,47 @@
+// related.js - Scoring for related post recommendations
+
+const TAG_WEIGHT = 3;
+const CATEGORY_WEIGHT = 2;
+const TITLE_TERM_WEIGHT = 1;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how',
+  'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this',
+  'to', 'was', 'what', 'when', 'why', 'with', 'you', 'your',
+]);
+
+// Significant lowercase words of a title
+const titleTerms = (title = '') => {
+  return [
+    ...new Set(
+      title
+        .toLowerCase()
+        .split(/[^\p{L}\p{N}+#]+/u)
+        .filter((term) => term.length > 2 && !STOP_WORDS.has(term))
+    ),
+  ];
+};
+
+// Score how related a candidate is to a post
+const scoreRelatedPost = (post, candidate) => {
+  const tags = new Set(post.tags || []);
+  const sharedTags = (candidate.tags || []).filter((tag) => tags.has(tag)).length;
+
+  const postCategory = String(post.category?._id || post.category);
+  const candidateCategory = String(candidate.category?._id || candidate.category);
+  const sameCategory = postCategory === candidateCategory;
+
+  const terms = new Set(titleTerms(post.title));
+  const sharedTerms = titleTerms(candidate.title).filter((term) => terms.has(term)).length;
+
+  return (
+    sharedTags * TAG_WEIGHT +
+    (sameCategory ? CATEGORY_WEIGHT : 0) +
+    sharedTerms * TITLE_TERM_WEIGHT
+  );
+};
+
+module.exports = {
+  titleTerms,
+  scoreRelatedPost,
+};
@@ -0,0 +1,49 @@
+// scheduler.js - Minimal in-process scheduler for recurring background jobs
+
+const jobs = new Map();
+
+// Run a task every intervalMs, skipping a tick if the previous run is still going
+const scheduleJob = (name, intervalMs, task) => {
+  if (jobs.has(name)) {
+    return jobs.get(name);
+  }
+
+  const job = { name, intervalMs, running: false, lastRun: null, timer: null };
+
+  const run = async () => {
+    if (job.running) {
+      return;
+    }
+
+    job.running = true;
+    try {
+      await task();
+      job.lastRun = new Date();
+    } catch (error) {
+      console.error(`Scheduled job "${name}" failed:`, error);
+    } finally {
+      job.running = false;
+    }
+  };
+
+  job.timer = setInterval(run, intervalMs);
+  // Don't keep the process alive just for background jobs
+  job.timer.unref();
+  jobs.set(name, job);
+
+  // Run once straight away so work due at startup isn't delayed
+  run();
+
+  return job;
+};
+
+// Stop all scheduled jobs
+const stopJobs = () => {
+  jobs.forEach((job) => clearInterval(job.timer));
+  jobs.clear();
+};
+
+module.exports = {
+  scheduleJob,
+  stopJobs,
+};
@@ -0,0 +1,169 @@
+// search.js - Full-text search query parsing and result highlighting
+
+const MAX_QUERY_LENGTH = 200;
+const SNIPPET_LENGTH = 180;
+
+// Escape a string for literal use inside a RegExp
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Escape a string for safe inclusion in HTML
+const escapeHtml = (value) =>
+  value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Split a user query into terms, "exact phrases" and -excluded terms
+const parseSearchQuery = (input = '') => {
+  const query = String(input).slice(0, MAX_QUERY_LENGTH);
+  const parsed = { terms: [], phrases: [], excluded: [] };
+
+  const phrasePattern = /"([^"]+)"/g;
+  let match;
+  while ((match = phrasePattern.exec(query)) !== null) {
+    const phrase = match[1].trim();
+    if (phrase) parsed.phrases.push(phrase);
+  }
+
+  query
+    .replace(phrasePattern, ' ')
+    .replace(/"/g, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .forEach((word) => {
+      if (word.startsWith('-')) {
+        if (word.length > 1) parsed.excluded.push(word.slice(1));
+      } else {
+        parsed.terms.push(word);
+      }
+    });
+
+  return parsed;
+};
+
+// Whether a parsed query has anything to match on
+const hasSearchTerms = (parsed) => parsed.terms.length > 0 || parsed.phrases.length > 0;
+
+// Rebuild a parsed query into a MongoDB $text search string
+const buildTextSearch = (parsed) => {
+  return [
+    ...parsed.phrases.map((phrase) => `"${phrase}"`),
+    ...parsed.terms,
+    ...parsed.excluded.map((term) => `-${term}`),
+  ].join(' ');
+};
+
+// Build a case-insensitive pattern matching any of the query's words or phrases
+const buildHighlightPattern = (parsed) => {
+  const alternatives = [
+    ...parsed.phrases.map((phrase) => escapeRegExp(phrase).replace(/\s+/g, '\\s+')),
+    // Allow word endings so "publish" also highlights "publishing"
+    ...parsed.terms.map((term) => `${escapeRegExp(term)}\\w*`),
+  ];
+
+  if (alternatives.length === 0) {
+    return null;
+  }
+
+  // Longest first so phrases win over their individual words
+  alternatives.sort((a, b) => b.length - a.length);
+  return new RegExp(`(?<![\\w])(?:${alternatives.join('|')})`, 'gi');
+};
+
+// Wrap matches in <mark> tags, escaping everything else
+const highlightText = (text, pattern) => {
+  if (!text) {
+    return '';
+  }
+  if (!pattern) {
+    return escapeHtml(text);
+  }
+
+  let result = '';
+  let lastIndex = 0;
+  pattern.lastIndex = 0;
+
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match[0].length === 0) {
+      pattern.lastIndex += 1;
+      continue;
+    }
+    result += escapeHtml(text.slice(lastIndex, match.index));
+    result += `<mark>${escapeHtml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+
+  return result + escapeHtml(text.slice(lastIndex));
+};
+
+// Reduce Markdown to plain text for snippets
+const toPlainText = (markdown = '') =>
+  markdown
+    .replace(/```[\s\S]*?```/g, ' ')
+    .replace(/!\[[^\]]*\]\([^)]*\)/g, ' ')
+    .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[#>*_`~]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Cut a window of text around the first match, on word boundaries
+const extractSnippet = (text, pattern) => {
+  if (text.length <= SNIPPET_LENGTH) {
+    return text;
+  }
+
+  pattern.lastIndex = 0;
+  const match = pattern.exec(text);
+  const matchIndex = match ? match.index : 0;
+
+  let start = Math.max(0, matchIndex - Math.floor(SNIPPET_LENGTH / 3));
+  let end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space === -1 || space > matchIndex ? start : space + 1;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > start ? space : end;
+  }
+
+  return `${start > 0 ? '… ' : ''}${text.slice(start, end)}${end < text.length ? ' …' : ''}`;
+};
+
+// Build highlighted title and snippet showing why a post matched
+const buildHighlights = (post, parsed) => {
+  const pattern = buildHighlightPattern(parsed);
+  const content = toPlainText(post.content);
+
+  // Prefer the excerpt when it matches, otherwise show the matching part of the content
+  let source = post.excerpt || '';
+  if (pattern) {
+    pattern.lastIndex = 0;
+    if (!source || !pattern.test(source)) {
+      source = content;
+    }
+  }
+
+  return {
+    title: highlightText(post.title, pattern),
+    snippet: pattern ? highlightText(extractSnippet(source, pattern), pattern) : '',
+    tags: pattern
+      ? (post.tags || []).filter((tag) => {
+          pattern.lastIndex = 0;
+          return pattern.test(tag);
+        })
+      : [],
+  };
+};
+
+module.exports = {
+  escapeRegExp,
+  parseSearchQuery,
+  hasSearchTerms,
+  buildTextSearch,
+  buildHighlights,
+};
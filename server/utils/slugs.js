@@ -0,0 +1,81 @@
+// slugs.js - URL slug generation with transliteration and collision handling
+
+const MAX_SLUG_LENGTH = 80;
+const MAX_SLUG_ATTEMPTS = 5;
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Letters that don't decompose into ASCII with Unicode normalization
+const TRANSLITERATIONS = {
+  ß: 'ss', æ: 'ae', ø: 'o', œ: 'oe', đ: 'd', ð: 'd', ł: 'l', þ: 'th', ı: 'i', ħ: 'h',
+  // Cyrillic
+  а: 'a', б: 'b', в: 'v', г: 'g', ґ: 'g', д: 'd', е: 'e', ё: 'e', є: 'ye', ж: 'zh',
+  з: 'z', и: 'i', і: 'i', ї: 'yi', й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o',
+  п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh',
+  щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya',
+  // Greek
+  α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i', κ: 'k',
+  λ: 'l', μ: 'm', ν: 'n', ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's', ς: 's', τ: 't',
+  υ: 'y', φ: 'f', χ: 'ch', ψ: 'ps', ω: 'o',
+};
+
+// Turn a title into a slug: "Crème Brûlée & Привет!" -> "creme-brulee-and-privet"
+const slugify = (text) => {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\u0000-\u007f]/g, (char) => TRANSLITERATIONS[char] ?? ' ')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_SLUG_LENGTH)
+    .replace(/-+$/, '');
+};
+
+// True if slug is base itself or base with a numeric suffix ("hello-world-3")
+const matchesBase = (slug, base) => new RegExp(`^${base}(?:-\\d+)?$`).test(slug || '');
+
+// First free slug for base in a model: base, base-2, base-3, ...
+const uniqueSlug = async (Model, base, excludeId) => {
+  const taken = await Model.find({
+    slug: new RegExp(`^${base}(?:-\\d+)?$`),
+    _id: { $ne: excludeId },
+  })
+    .setOptions({ withDeleted: true })
+    .distinct('slug');
+
+  if (!taken.includes(base)) {
+    return base;
+  }
+
+  const suffixes = taken.map((slug) => parseInt(slug.slice(base.length + 1), 10) || 1);
+  return `${base}-${Math.max(...suffixes) + 1}`;
+};
+
+const isSlugConflict = (error) =>
+  error.code === DUPLICATE_KEY_ERROR && Boolean(error.keyPattern && error.keyPattern.slug);
+
+// Save a document whose pre('validate') hook picks its slug. Two concurrent saves can
+// pick the same free slug and the unique index rejects the second one, so flag the
+// conflict for the hook (which then picks the next free slug) and try again.
+const saveWithUniqueSlug = async (doc) => {
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await doc.save();
+    } catch (error) {
+      if (!isSlugConflict(error) || attempt >= MAX_SLUG_ATTEMPTS) {
+        throw error;
+      }
+      doc.$locals.slugTaken = true;
+    }
+  }
+};
+
+module.exports = {
+  MAX_SLUG_LENGTH,
+  slugify,
+  matchesBase,
+  uniqueSlug,
+  isSlugConflict,
+  saveWithUniqueSlug,
+};
@@ -0,0 +1,108 @@
+// spamFilter.js - Pluggable local spam scoring for comments
+
+const Comment = require('../models/Comment');
+
+// Scores at or above these hold a comment for review or mark it as spam;
+// read on use, like the blocklist, so values from .env are honoured
+const getThresholds = () => ({
+  hold: parseFloat(process.env.SPAM_HOLD_THRESHOLD) || 3,
+  spam: parseFloat(process.env.SPAM_THRESHOLD) || 6,
+});
+
+const DEFAULT_BLOCKLIST = ['viagra', 'casino', 'free money', 'payday loan', 'crypto giveaway'];
+
+const NEW_ACCOUNT_HOURS = 24;
+
+const rules = [];
+
+// Add a rule: (comment, context) => { score, reason } | null, may be async.
+// comment is { _id, content }, where _id is only set when an existing comment is edited.
+const registerSpamRule = (name, rule) => {
+  rules.push({ name, rule });
+};
+
+// Words and phrases that mark a comment as suspicious
+const getBlocklist = () => {
+  const extra = (process.env.SPAM_BLOCKLIST || '')
+    .split(',')
+    .map((word) => word.trim().toLowerCase())
+    .filter(Boolean);
+  return [...DEFAULT_BLOCKLIST, ...extra];
+};
+
+const countLinks = (content) => (content.match(/https?:\/\/|www\./gi) || []).length;
+
+// Links are the main payload of comment spam
+registerSpamRule('links', ({ content }) => {
+  const links = countLinks(content);
+  if (links === 0) return null;
+  return { score: links * 1.5, reason: `Contains ${links} link(s)` };
+});
+
+// Blocklisted words
+registerSpamRule('blocklist', ({ content }) => {
+  const text = content.toLowerCase();
+  const matches = getBlocklist().filter((word) => text.includes(word));
+  if (matches.length === 0) return null;
+  return { score: matches.length * 3, reason: `Contains blocklisted words: ${matches.join(', ')}` };
+});
+
+// The same text posted repeatedly; an edited comment doesn't count against itself
+registerSpamRule('repeat-content', async ({ _id, content }, { user }) => {
+  const filter = { content, createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } };
+  if (_id) {
+    filter._id = { $ne: _id };
+  }
+
+  const [ownRepeats, globalRepeats] = await Promise.all([
+    Comment.countDocuments({ ...filter, author: user._id }),
+    Comment.countDocuments(filter),
+  ]);
+
+  if (ownRepeats > 0) {
+    return { score: 3, reason: 'Repeats one of your recent comments' };
+  }
+  if (globalRepeats >= 3) {
+    return { score: 2, reason: 'Same text posted repeatedly' };
+  }
+  return null;
+});
+
+// Brand new accounts, especially when they post links
+registerSpamRule('new-account', ({ content }, { user }) => {
+  const ageHours = (Date.now() - new Date(user.createdAt).getTime()) / (60 * 60 * 1000);
+  if (ageHours >= NEW_ACCOUNT_HOURS) return null;
+  return {
+    score: countLinks(content) > 0 ? 3 : 1,
+    reason: 'Account is less than a day old',
+  };
+});
+
+// Score a comment and decide the status it should start with
+const checkComment = async (comment, context) => {
+  let score = 0;
+  const reasons = [];
+
+  for (const { rule } of rules) {
+    const result = await rule(comment, context);
+    if (result && result.score > 0) {
+      score += result.score;
+      reasons.push(result.reason);
+    }
+  }
+
+  const thresholds = getThresholds();
+  let status = 'approved';
+  if (score >= thresholds.spam) {
+    status = 'spam';
+  } else if (score >= thresholds.hold) {
+    status = 'pending';
+  }
+
+  return { score, reasons, status };
+};
+
+module.exports = {
+  registerSpamRule,
+  checkComment,
+};
@@ -0,0 +1,56 @@
+// tags.js - Tag parsing and normalization utilities
+
+const MAX_TAG_LENGTH = 20;
+
+// Normalize a tag to its slug form: "  React JS " -> "react-js", "Café" -> "cafe".
+// Accents are only stripped from Latin letters so other scripts keep their meaning.
+const normalizeTag = (tag) => {
+  const slug = String(tag)
+    .normalize('NFKD')
+    .replace(/(\p{Script=Latin})[\u0300-\u036f]+/gu, '$1')
+    .normalize('NFC')
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}+#]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+
+  // Count characters rather than UTF-16 units so astral symbols are never split
+  return Array.from(slug).slice(0, MAX_TAG_LENGTH).join('').replace(/-+$/, '');
+};
+
+// A tag is usable when it keeps at least one letter, number, + or # once normalized
+const isValidTag = (tag) => normalizeTag(tag) !== '';
+
+// Normalize a list of tags, dropping empties and duplicates
+const normalizeTags = (tags = []) => {
+  return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+};
+
+// Accept tags as an array, a JSON array string (multipart forms) or a comma list
+const parseTags = (value) => {
+  if (value === undefined || value === null || Array.isArray(value)) {
+    return value;
+  }
+
+  const text = String(value).trim();
+  if (text.startsWith('[')) {
+    try {
+      const parsed = JSON.parse(text);
+      if (Array.isArray(parsed)) {
+        return parsed;
+      }
+    } catch (error) {
+      // Fall through and treat it as a comma-separated list
+    }
+  }
+
+  return text ? text.split(',') : [];
+};
+
+module.exports = {
+  MAX_TAG_LENGTH,
+  normalizeTag,
+  normalizeTags,
+  isValidTag,
+  parseTags,
+};
@@ -0,0 +1,111 @@
+// trending.js - Time-decayed trending scores for posts, cached per window
+
+const Post = require('../models/Post');
+const Comment = require('../models/Comment');
+const Reaction = require('../models/Reaction');
+const ViewEvent = require('../models/ViewEvent');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Window length and the half-life of an interaction's weight within it
+const TRENDING_WINDOWS = {
+  day: { hours: 24, halfLifeHours: 6 },
+  week: { hours: 7 * 24, halfLifeHours: 36 },
+  month: { hours: 30 * 24, halfLifeHours: 7 * 24 },
+};
+
+// How much one interaction of each kind is worth
+const WEIGHTS = {
+  view: 1,
+  reaction: 3,
+  comment: 5,
+};
+
+// Posts kept per window; the endpoint serves a prefix of this list
+const CACHE_SIZE = 50;
+
+const cache = new Map();
+
+// Sum decayed weights per post: each interaction halves in value every half-life
+const decayedScores = (Model, match, postField, weight, now, halfLifeMs) =>
+  Model.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: `$${postField}`,
+        score: {
+          $sum: {
+            $multiply: [
+              weight,
+              { $pow: [0.5, { $divide: [{ $subtract: [now, '$createdAt'] }, halfLifeMs] }] },
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+// Rank public posts by recent views, reactions and comments
+const computeTrending = async (window, now = new Date()) => {
+  const { hours, halfLifeHours } = TRENDING_WINDOWS[window];
+  const since = new Date(now.getTime() - hours * HOUR_MS);
+  const halfLifeMs = halfLifeHours * HOUR_MS;
+  const createdAt = { $gte: since, $lte: now };
+
+  const results = await Promise.all([
+    decayedScores(ViewEvent, { createdAt }, 'post', WEIGHTS.view, now, halfLifeMs),
+    decayedScores(
+      Reaction,
+      { targetType: 'Post', createdAt },
+      'target',
+      WEIGHTS.reaction,
+      now,
+      halfLifeMs
+    ),
+    decayedScores(
+      Comment,
+      { status: 'approved', isRemoved: { $ne: true }, createdAt },
+      'post',
+      WEIGHTS.comment,
+      now,
+      halfLifeMs
+    ),
+  ]);
+
+  const scores = new Map();
+  results.flat().forEach(({ _id, score }) => {
+    const id = _id.toString();
+    scores.set(id, (scores.get(id) || 0) + score);
+  });
+
+  // Drop posts that are no longer public
+  const publicIds = await Post.find(Post.publicFilter({ _id: { $in: [...scores.keys()] } }))
+    .distinct('_id');
+
+  const posts = publicIds
+    .map((id) => ({ post: id, score: Math.round(scores.get(id.toString()) * 100) / 100 }))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, CACHE_SIZE);
+
+  const entry = { window, posts, computedAt: now };
+  cache.set(window, entry);
+  return entry;
+};
+
+// Recompute every window
+const refreshTrending = async () => {
+  for (const window of Object.keys(TRENDING_WINDOWS)) {
+    await computeTrending(window);
+  }
+};
+
+// Cached ranking for a window, computed on first use
+const getTrending = (window) => cache.get(window) || computeTrending(window);
+
+module.exports = {
+  TRENDING_WINDOWS,
+  CACHE_SIZE,
+  computeTrending,
+  refreshTrending,
+  getTrending,
+};
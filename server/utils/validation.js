@@ -1,6 +1,9 @@
 // validation.js - Validation utilities
 
-const { body, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const { parseTags, isValidTag, MAX_TAG_LENGTH } = require('./tags');
+const { MAX_SLUG_LENGTH } = require('./slugs');
+const { isRangeWithinLimit, MAX_RANGE_DAYS } = require('./analytics');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -87,8 +90,21 @@ const validatePost = [
     .isMongoId()
     .withMessage('Please provide a valid category ID'),
   
+  body('slug')
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: MAX_SLUG_LENGTH })
+    .withMessage(`Slug cannot be more than ${MAX_SLUG_LENGTH} characters`),
+  
+  body('publishAt')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('Publish date must be a valid date'),
+  
   body('tags')
     .optional()
+    .customSanitizer(parseTags)
     .isArray()
     .withMessage('Tags must be an array'),
   
@@ -96,8 +112,10 @@ const validatePost = [
     .optional()
     .isString()
     .trim()
-    .isLength({ min: 1, max: 20 })
-    .withMessage('Each tag must be between 1 and 20 characters'),
+    .isLength({ min: 1, max: MAX_TAG_LENGTH })
+    .withMessage(`Each tag must be between 1 and ${MAX_TAG_LENGTH} characters`)
+    .custom(isValidTag)
+    .withMessage('Each tag must contain a letter or number'),
   
   handleValidationErrors
 ];
@@ -133,6 +151,210 @@ const validateComment = [
   handleValidationErrors
 ];
 
+// Tag rename/merge validation
+const validateTagRename = [
+  body('from')
+    .customSanitizer(parseTags)
+    .isArray({ min: 1 })
+    .withMessage('Please provide the tag or tags to rename'),
+  
+  body('from.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Each tag to rename must be a non-empty string')
+    .custom(isValidTag)
+    .withMessage('Each tag to rename must contain a letter or number'),
+  
+  body('to')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: MAX_TAG_LENGTH })
+    .withMessage(`New tag must be between 1 and ${MAX_TAG_LENGTH} characters`)
+    .custom(isValidTag)
+    .withMessage('New tag must contain a letter or number'),
+  
+  handleValidationErrors
+];
+
+// Reading list validation
+const validateReadingList = [
+  body('name')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Reading list name must be between 1 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be true or false'),
+  
+  handleValidationErrors
+];
+
+// Reading list update validation; only the fields sent are changed
+const validateReadingListUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Reading list name must be between 1 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  
+  body('isPublic')
+    .optional()
+    .isBoolean()
+    .withMessage('isPublic must be true or false'),
+  
+  handleValidationErrors
+];
+
+// Reading list post validation
+const validateReadingListPost = [
+  body('postId')
+    .isMongoId()
+    .withMessage('Please provide a valid post ID'),
+  
+  handleValidationErrors
+];
+
+// Reading list order validation
+const validateReadingListOrder = [
+  body('postIds')
+    .isArray()
+    .withMessage('postIds must be an array'),
+  
+  body('postIds.*')
+    .isMongoId()
+    .withMessage('Each post ID must be valid'),
+  
+  handleValidationErrors
+];
+
+// Bookmark validation
+const validateBookmark = [
+  param('id')
+    .isMongoId()
+    .withMessage('Please provide a valid post ID'),
+  
+  handleValidationErrors
+];
+
+// Series validation
+const validateSeries = [
+  body('title')
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Series title must be between 1 and 100 characters'),
+  
+  body('description')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot be more than 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Series post validation
+const validateSeriesPost = [
+  body('postId')
+    .isMongoId()
+    .withMessage('Please provide a valid post ID'),
+  
+  body('position')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Position must be a positive whole number'),
+  
+  handleValidationErrors
+];
+
+// Series order validation
+const validateSeriesOrder = [
+  body('postIds')
+    .isArray()
+    .withMessage('postIds must be an array'),
+  
+  body('postIds.*')
+    .isMongoId()
+    .withMessage('Each post ID must be valid'),
+  
+  handleValidationErrors
+];
+
+// Bulk post action validation
+const BULK_POST_ACTIONS = ['publish', 'unpublish', 'move', 'addTags', 'removeTags', 'delete'];
+const MAX_BULK_POSTS = 500;
+
+const validateBulkPosts = [
+  body('ids')
+    .isArray({ min: 1, max: MAX_BULK_POSTS })
+    .withMessage(`Please provide between 1 and ${MAX_BULK_POSTS} post IDs`),
+  
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Each post ID must be valid'),
+  
+  body('action')
+    .isIn(BULK_POST_ACTIONS)
+    .withMessage(`Action must be one of: ${BULK_POST_ACTIONS.join(', ')}`),
+  
+  body('category')
+    .if(body('action').equals('move'))
+    .isMongoId()
+    .withMessage('Please provide a valid category ID'),
+  
+  body('tags')
+    .if(body('action').isIn(['addTags', 'removeTags']))
+    .customSanitizer(parseTags)
+    .isArray({ min: 1 })
+    .withMessage('Please provide at least one tag'),
+  
+  body('tags.*')
+    .if(body('action').isIn(['addTags', 'removeTags']))
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: MAX_TAG_LENGTH })
+    .withMessage(`Each tag must be between 1 and ${MAX_TAG_LENGTH} characters`)
+    .custom(isValidTag)
+    .withMessage('Each tag must contain a letter or number'),
+  
+  handleValidationErrors
+];
+
+// Analytics date range validation
+const validateDateRange = [
+  query('from')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('from must be a valid date'),
+  
+  query('to')
+    .optional({ values: 'falsy' })
+    .isISO8601()
+    .withMessage('to must be a valid date')
+    .custom((value, { req }) => !req.query.from || new Date(req.query.from) <= new Date(value))
+    .withMessage('from must be before to'),
+  
+  query('from')
+    .custom((value, { req }) => isRangeWithinLimit(req.query))
+    .withMessage(`Date range cannot be longer than ${MAX_RANGE_DAYS} days`),
+  
+  handleValidationErrors
+];
+
 // Search validation
 const validateSearch = [
   body('query')
@@ -149,6 +371,17 @@ module.exports = {
   validatePost,
   validateCategory,
   validateComment,
+  validateTagRename,
+  validateReadingList,
+  validateReadingListUpdate,
+  validateReadingListPost,
+  validateReadingListOrder,
+  validateBookmark,
+  validateSeries,
+  validateSeriesPost,
+  validateSeriesOrder,
+  validateBulkPosts,
+  validateDateRange,
   validateSearch,
   handleValidationErrors
 }; 
\ No newline at end of file
@@ -0,0 +1,83 @@
+// viewTracker.js - Counts post views once per visitor, skipping bots and authors
+
+const crypto = require('crypto');
+const Post = require('../models/Post');
+const PostView = require('../models/PostView');
+const PostViewDaily = require('../models/PostViewDaily');
+const ViewEvent = require('../models/ViewEvent');
+
+// Minutes during which repeat views by one visitor count once; read on use so .env applies
+const getViewWindowMinutes = () => parseInt(process.env.VIEW_DEDUPE_WINDOW_MINUTES) || 30;
+
+const BOT_PATTERN =
+  /bot|crawl|spider|slurp|fetch|preview|monitor|headless|lighthouse|curl|wget|python-requests|axios|node-fetch|facebookexternalhit|embedly|quora link/i;
+
+// True for crawlers, link previewers and scripted clients
+const isBot = (userAgent) => !userAgent || BOT_PATTERN.test(userAgent);
+
+// Identify the reader: their user id, or a hash of IP and user agent
+const getVisitorKey = (req) => {
+  if (req.user) {
+    return `user:${req.user._id}`;
+  }
+
+  const hash = crypto
+    .createHash('sha256')
+    .update(`${req.ip}|${req.get('user-agent') || ''}`)
+    .digest('hex');
+
+  return `anon:${hash}`;
+};
+
+// Host name of the page that linked to the post, if any
+const getReferrerHost = (req) => {
+  const referrer = req.get('referer');
+  if (!referrer) {
+    return null;
+  }
+
+  try {
+    return new URL(referrer).hostname.replace(/^www\./, '') || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Count a view of a post; returns true if it was counted
+const recordView = async (post, req) => {
+  if (isBot(req.get('user-agent'))) {
+    return false;
+  }
+
+  const authorId = post.author && (post.author._id || post.author);
+  if (req.user && authorId && authorId.toString() === req.user._id.toString()) {
+    return false;
+  }
+
+  const visitor = getVisitorKey(req);
+  const counted = await PostView.record(post._id, visitor, getViewWindowMinutes());
+  if (!counted) {
+    return false;
+  }
+
+  await Promise.all([
+    // A view is not an edit, so leave updatedAt alone
+    Post.updateOne({ _id: post._id }, { $inc: { viewCount: 1 } }, { timestamps: false }),
+    PostViewDaily.increment(post._id),
+    ViewEvent.create({
+      post: post._id,
+      visitor,
+      user: req.user ? req.user._id : null,
+      referrer: getReferrerHost(req),
+    }),
+  ]);
+
+  return true;
+};
+
+module.exports = {
+  isBot,
+  getVisitorKey,
+  getReferrerHost,
+  recordView,
+};